@@ -0,0 +1,153 @@
+"""Game rooms shared between a host device and the players' phones.
+
+The host device runs the night workflow and stays authoritative; the server only
+keeps track of who is connected to which room and relays messages between them.
+"""
+
+import logging
+import secrets
+import time
+from dataclasses import dataclass, field
+from typing import Callable, Dict, Optional
+
+from fastapi import WebSocket
+
+# Short, unambiguous room codes (no I or O) that are easy to read out loud
+ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ"
+ROOM_CODE_LENGTH = 4
+
+# Rooms whose host has not been connected for this long are removed (e.g. a room
+# created but never joined)
+ROOM_HOST_TIMEOUT_SECONDS = 10 * 60
+
+logger = logging.getLogger(__name__)
+
+
+@dataclass
+class Player:
+    """A player's phone connected to a room."""
+
+    id: str
+    name: str
+    websocket: Optional[WebSocket] = None
+
+    def describe(self) -> dict:
+        return {"id": self.id, "name": self.name, "connected": self.websocket is not None}
+
+
+@dataclass
+class Room:
+    """A game room: one host and any number of players, in join order.
+
+    Only the device that created the room knows its host token, so nobody else
+    can connect as its host.
+    """
+
+    code: str
+    host_token: str = field(default_factory=lambda: secrets.token_urlsafe(16))
+    host: Optional[WebSocket] = None
+    players: Dict[str, Player] = field(default_factory=dict)
+    host_left_at: float = 0.0  # When the host last left (or the room was created)
+
+    def describe(self) -> dict:
+        return {
+            "code": self.code,
+            "host_connected": self.host is not None,
+            "players": [player.describe() for player in self.players.values()],
+        }
+
+    def is_empty(self) -> bool:
+        return self.host is None and all(p.websocket is None for p in self.players.values())
+
+    def is_host_token(self, token: str) -> bool:
+        return secrets.compare_digest(token.encode(), self.host_token.encode())
+
+
+class RoomManager:
+    """In-memory registry of rooms (rooms are lost when the server restarts)."""
+
+    def __init__(self, clock: Callable[[], float] = time.monotonic):
+        self.rooms: Dict[str, Room] = {}
+        self.clock = clock
+
+    def create_room(self) -> Room:
+        self.remove_expired_rooms()
+        code = self._generate_code()
+        room = Room(code=code, host_left_at=self.clock())
+        self.rooms[code] = room
+        return room
+
+    def get_room(self, code: str) -> Optional[Room]:
+        self.remove_expired_rooms()
+        return self.rooms.get(code.upper())
+
+    def remove_room(self, code: str) -> None:
+        self.rooms.pop(code.upper(), None)
+
+    def remove_expired_rooms(self) -> None:
+        """Remove rooms whose host has been away for ROOM_HOST_TIMEOUT_SECONDS."""
+        now = self.clock()
+        expired = [
+            room.code for room in self.rooms.values()
+            if room.host is None and now - room.host_left_at >= ROOM_HOST_TIMEOUT_SECONDS
+        ]
+        for code in expired:
+            logger.info("Removing room %s: no host for %d seconds", code, ROOM_HOST_TIMEOUT_SECONDS)
+            self.rooms.pop(code, None)
+
+    def set_host(self, room: Room, websocket: WebSocket) -> None:
+        room.host = websocket
+
+    def clear_host(self, room: Room, websocket: WebSocket) -> bool:
+        """Detach the host if it is still this socket; True when it was."""
+        if room.host is not websocket:
+            return False
+        room.host = None
+        room.host_left_at = self.clock()
+        return True
+
+    def add_player(self, room: Room, name: str, player_id: Optional[str] = None) -> Player:
+        """Add a player, or reattach a returning player who kept their id."""
+        if player_id and player_id in room.players:
+            player = room.players[player_id]
+            player.name = name or player.name
+            return player
+        player = Player(id=secrets.token_hex(4), name=name or f"Player {len(room.players) + 1}")
+        room.players[player.id] = player
+        return player
+
+    async def send_to_host(self, room: Room, message: dict) -> None:
+        if room.host is not None:
+            await self._send(room.host, message)
+
+    async def send_to_player(self, room: Room, player_id: str, message: dict) -> None:
+        player = room.players.get(player_id)
+        if player is not None and player.websocket is not None:
+            await self._send(player.websocket, message)
+
+    async def broadcast(self, room: Room, message: dict) -> None:
+        for player in list(room.players.values()):
+            if player.websocket is not None:
+                await self._send(player.websocket, message)
+
+    @staticmethod
+    async def _send(websocket: WebSocket, message: dict) -> None:
+        """Send a message, ignoring sockets that are already closed.
+
+        The closed socket's own handler cleans up its room, so a sender (e.g. the
+        host relaying to everyone) must not fail because of it.
+        """
+        try:
+            await websocket.send_json(message)
+        except Exception as error:  # WebSocketDisconnect, RuntimeError or a transport error
+            logger.debug("Dropped message to a closed socket: %s", error)
+
+    def _generate_code(self) -> str:
+        while True:
+            code = "".join(secrets.choice(ROOM_CODE_ALPHABET) for _ in range(ROOM_CODE_LENGTH))
+            if code not in self.rooms:
+                return code
+
+
+# Global room registry
+room_manager = RoomManager()
@@ -1,9 +1,33 @@
 """API routes for the One Night Werewolf Assistant application."""
 
-from fastapi import APIRouter
+import json
+from typing import Optional
+
+from fastapi import APIRouter, HTTPException, WebSocket, WebSocketDisconnect
+
+from backend.rooms import room_manager
 
 router = APIRouter()
 
+# WebSocket close codes used when the room does not exist or the host token is wrong
+ROOM_NOT_FOUND_CLOSE_CODE = 4404
+HOST_TOKEN_INVALID_CLOSE_CODE = 4403
+
+
+async def _receive_message(websocket: WebSocket) -> Optional[dict]:
+    """Wait for the next frame; None when it is not a text frame with a JSON object."""
+    frame = await websocket.receive()
+    if frame["type"] == "websocket.disconnect":
+        raise WebSocketDisconnect(frame.get("code", 1000))
+    text = frame.get("text")
+    if text is None:  # A binary frame
+        return None
+    try:
+        message = json.loads(text)
+    except ValueError:
+        return None
+    return message if isinstance(message, dict) else None
+
 
 @router.get("/api/health")
 async def health_check():
@@ -19,3 +43,103 @@ async def get_info():
         "version": "1.0.0",
         "description": "A web assistant for playing One Night Werewolf"
     }
+
+
+@router.post("/api/rooms")
+async def create_room():
+    """Create a game room and return its short join code and the host token."""
+    room = room_manager.create_room()
+    return {**room.describe(), "host_token": room.host_token}
+
+
+@router.get("/api/rooms/{code}")
+async def get_room(code: str):
+    """Get the players connected to a room."""
+    room = room_manager.get_room(code)
+    if room is None:
+        raise HTTPException(status_code=404, detail="Room not found")
+    return room.describe()
+
+
+@router.websocket("/ws/rooms/{code}/host")
+async def host_socket(websocket: WebSocket, code: str, token: str = ""):
+    """Host device connection, with the host token returned when the room was created.
+
+    Messages from the host: {"type": "send", "to": "<player id>" | "all", "payload": {...}}
+    Messages to the host: player_joined, player_left and from_player events.
+    """
+    await websocket.accept()
+    room = room_manager.get_room(code)
+    if room is None:
+        await websocket.close(code=ROOM_NOT_FOUND_CLOSE_CODE)
+        return
+    if not room.is_host_token(token):
+        await websocket.close(code=HOST_TOKEN_INVALID_CLOSE_CODE)
+        return
+
+    room_manager.set_host(room, websocket)
+    try:
+        await websocket.send_json({"type": "room", "room": room.describe()})
+        await room_manager.broadcast(room, {"type": "host_joined"})
+
+        while True:
+            message = await _receive_message(websocket)
+            if message is None or message.get("type") != "send":
+                continue
+            payload = message.get("payload", {})
+            to = message.get("to")
+            if to == "all":
+                await room_manager.broadcast(room, {"type": "host_message", "payload": payload})
+            elif isinstance(to, str):
+                await room_manager.send_to_player(room, to, {"type": "host_message", "payload": payload})
+    except WebSocketDisconnect:
+        pass
+    finally:
+        # Also reached on errors, so the room never keeps a dead host
+        if room_manager.clear_host(room, websocket):
+            await room_manager.broadcast(room, {"type": "host_left"})
+        if room.is_empty():
+            room_manager.remove_room(room.code)
+
+
+@router.websocket("/ws/rooms/{code}/player")
+async def player_socket(websocket: WebSocket, code: str, name: str = "", player_id: str = ""):
+    """Player phone connection.
+
+    Messages from the player: {"payload": {...}}, relayed to the host as from_player.
+    Messages to the player: welcome, host_message, host_joined and host_left events.
+    """
+    await websocket.accept()
+    room = room_manager.get_room(code)
+    if room is None:
+        await websocket.close(code=ROOM_NOT_FOUND_CLOSE_CODE)
+        return
+
+    player = room_manager.add_player(room, name, player_id or None)
+    player.websocket = websocket
+    try:
+        await websocket.send_json({
+            "type": "welcome",
+            "player": player.describe(),
+            "host_connected": room.host is not None,
+        })
+        await room_manager.send_to_host(room, {"type": "player_joined", "player": player.describe()})
+
+        while True:
+            message = await _receive_message(websocket)
+            if message is None:
+                continue
+            await room_manager.send_to_host(room, {
+                "type": "from_player",
+                "from": player.id,
+                "payload": message.get("payload", {}),
+            })
+    except WebSocketDisconnect:
+        pass
+    finally:
+        # Also reached on errors, so the player is never left marked as connected
+        if player.websocket is websocket:
+            player.websocket = None
+            await room_manager.send_to_host(room, {"type": "player_left", "player": player.describe()})
+        if room.is_empty():
+            room_manager.remove_room(room.code)
@@ -5,6 +5,16 @@
 // API base URL
 const API_BASE_URL = '';
 
+/**
+ * Translate a UI string in the current language (see TranslationManager.t)
+ * @param {string} key - e.g. 'ui.menu.play'
+ * @param {Object} [params] - Placeholder values; `count` picks the plural form
+ * @returns {string}
+ */
+function t(key, params) {
+    return translationManager.t(key, params);
+}
+
 // ============================================================
 // OPTIONAL: COUNTDOWN WARNING SOUND (BEEP EACH SECOND)
 // ============================================================
@@ -81,24 +91,445 @@ class CountdownTickSound {
     }
 }
 
+// ============================================================
+// SILENT NARRATION (VIBRATE + ON-SCREEN CUES)
+// ============================================================
+
+// Narration modes: spoken announcements, or silent cues with vibration
+const NARRATION_MODES = [
+    { value: 'speech' },
+    { value: 'silent' }
+];
+
+/**
+ * @returns {string} 'speech' or 'silent'
+ */
+function getNarrationMode() {
+    return localStorage.getItem('narrationMode') || 'speech';
+}
+
+/**
+ * @param {string} mode - 'speech' or 'silent'
+ */
+function setNarrationMode(mode) {
+    localStorage.setItem('narrationMode', mode);
+}
+
+/**
+ * Full-screen, low-brightness prompt plus vibration, used instead of speech
+ */
+const SilentCue = {
+    _element: null,
+    _timeoutId: null,
+    _resolve: null,
+
+    /**
+     * @returns {boolean} true if this device can vibrate
+     */
+    canVibrate() {
+        return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+    },
+
+    /**
+     * Vibrate if supported; silently does nothing otherwise
+     * @param {number|Array<number>} pattern
+     */
+    vibrate(pattern) {
+        if (!this.canVibrate()) return;
+        try {
+            navigator.vibrate(pattern);
+        } catch (error) {
+            // Some browsers throw when vibration is blocked; the on-screen cue is enough.
+        }
+    },
+
+    /**
+     * How long a prompt stays on screen, based on its length
+     * @param {string} text
+     * @returns {number} Milliseconds
+     */
+    readingTimeMs(text) {
+        return Math.max(2500, text.length * 60);
+    },
+
+    /**
+     * Show a prompt on a dim full-screen overlay; tap to dismiss early
+     * @param {string} text
+     * @param {number} [durationMs]
+     * @returns {Promise<void>} Resolves when the prompt is hidden
+     */
+    show(text, durationMs = this.readingTimeMs(text)) {
+        this.hide();
+        const el = document.createElement('div');
+        el.className = 'silent-cue';
+        el.setAttribute('role', 'alert');
+        const paragraph = document.createElement('p');
+        paragraph.textContent = text;
+        el.appendChild(paragraph);
+        document.body.appendChild(el);
+        this._element = el;
+
+        return new Promise((resolve) => {
+            this._resolve = resolve;
+            el.addEventListener('click', () => this.hide());
+            this._timeoutId = setTimeout(() => this.hide(), durationMs);
+        });
+    },
+
+    /**
+     * Hide the current prompt, if any
+     */
+    hide() {
+        if (this._timeoutId) {
+            clearTimeout(this._timeoutId);
+            this._timeoutId = null;
+        }
+        if (this._element) {
+            this._element.remove();
+            this._element = null;
+        }
+        if (this._resolve) {
+            const resolve = this._resolve;
+            this._resolve = null;
+            resolve();
+        }
+    },
+
+    /**
+     * Silent replacement for a spoken announcement. When hosting a room the
+     * players' phones get the prompts, so the host device only keeps the pace.
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    announce(text) {
+        if (roomClient.isHosting() && roomClient.players.length > 0) {
+            return new Promise(resolve => setTimeout(resolve, this.readingTimeMs(text)));
+        }
+        this.vibrate([200, 100, 200]);
+        return this.show(text);
+    }
+};
+
+// ============================================================
+// ROLE CATALOG
+// ============================================================
+
+// Teams in the order the role grid shows them (labels: 'ui.team.<id>')
+const ROLE_TEAMS = [
+    { id: 'werewolf' },
+    { id: 'villager' },
+    { id: 'vampire' },
+    { id: 'alien' },
+    { id: 'villain' }
+];
+
+// Boxes a role can come from ("expansion" in roles.json); the host can hide the ones they don't own
+// (labels: 'ui.expansion.<id>')
+const EXPANSIONS = [
+    { id: 'base' },
+    { id: 'daybreak' },
+    { id: 'bonus' },
+    { id: 'vampire' },
+    { id: 'alien' },
+    { id: 'super-villains' },
+    { id: 'custom' }
+];
+
+// Image shown for roles that come without one (e.g. custom roles)
+const PLACEHOLDER_ROLE_IMG = '/static/img/placeholder.svg';
+
+/**
+ * Role data (name, team, image, timer, wake order, selection rules, expansion)
+ * from /static/roles.json, plus custom roles imported by the host and kept in
+ * localStorage ('customRoles'). Custom roles bring their own announcements.
+ */
+class RoleCatalog {
+    constructor() {
+        this.builtIn = [];
+        this.custom = this._loadCustom();
+        this.hiddenExpansions = this._loadHiddenExpansions();
+        this._loadPromise = null;
+    }
+
+    _loadHiddenExpansions() {
+        try {
+            return JSON.parse(localStorage.getItem('hiddenExpansions')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    _loadCustom() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem('customRoles')) || [];
+        } catch (error) {
+            return [];
+        }
+        // Drop entries saved before a check they fail was added
+        return (Array.isArray(saved) ? saved : []).flatMap(entry => {
+            try {
+                return [this._validateCustomRole(entry)];
+            } catch (error) {
+                console.warn('Ignoring a saved custom role:', error.message);
+                return [];
+            }
+        });
+    }
+
+    /**
+     * Fetch the built-in catalog (once)
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this._loadPromise) {
+            this._loadPromise = fetch('/static/roles.json')
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.builtIn = data.roles;
+                    this.localizeNames();
+                })
+                .catch(error => {
+                    console.error('Failed to load the role catalog:', error);
+                });
+        }
+        return this._loadPromise;
+    }
+
+    /**
+     * Show the built-in roles under their names in the current language
+     * ('role.name.<id>'); roles.json keeps the English name as defaultName.
+     * Custom roles keep the name they were imported with.
+     */
+    localizeNames() {
+        this.builtIn.forEach(role => {
+            if (!role.defaultName) role.defaultName = role.name;
+            const key = `role.name.${role.id}`;
+            role.name = translationManager.has(key) ? t(key) : role.defaultName;
+        });
+    }
+
+    /**
+     * @returns {Array<Object>} Built-in roles followed by custom roles
+     */
+    getAll() {
+        return [...this.builtIn, ...this.custom];
+    }
+
+    /**
+     * @param {string} roleId
+     * @returns {Object|undefined}
+     */
+    get(roleId) {
+        return this.builtIn.find(r => r.id === roleId) || this.custom.find(r => r.id === roleId);
+    }
+
+    /**
+     * @param {string} teamId - e.g. 'werewolf'
+     * @returns {Array<Object>}
+     */
+    getByTeam(teamId) {
+        return this.getAll().filter(r => r.team === teamId);
+    }
+
+    /**
+     * @param {string} expansionId - e.g. 'daybreak'
+     * @returns {boolean}
+     */
+    isExpansionShown(expansionId) {
+        return !this.hiddenExpansions.includes(expansionId);
+    }
+
+    /**
+     * Show or hide an expansion's roles on the Role Assignment page (remembered)
+     * @param {string} expansionId
+     * @param {boolean} shown
+     */
+    setExpansionShown(expansionId, shown) {
+        this.hiddenExpansions = this.hiddenExpansions.filter(id => id !== expansionId);
+        if (!shown) this.hiddenExpansions.push(expansionId);
+        localStorage.setItem('hiddenExpansions', JSON.stringify(this.hiddenExpansions));
+    }
+
+    /**
+     * @param {string} roleId
+     * @returns {boolean} false when the role's expansion is hidden
+     */
+    isShown(roleId) {
+        const role = this.get(roleId);
+        return !!role && this.isExpansionShown(role.expansion);
+    }
+
+    /**
+     * @returns {Array<Object>} Roles of the expansions that are not hidden
+     */
+    getShown() {
+        return this.getAll().filter(r => this.isExpansionShown(r.expansion));
+    }
+
+    /**
+     * @returns {Array<{id: string}>} Expansions that have at least one role
+     */
+    getExpansions() {
+        const used = new Set(this.getAll().map(r => r.expansion));
+        return EXPANSIONS.filter(expansion => used.has(expansion.id));
+    }
+
+    /**
+     * @param {string} roleId
+     * @returns {boolean}
+     */
+    isCustom(roleId) {
+        return this.custom.some(r => r.id === roleId);
+    }
+
+    /**
+     * Announcement text of a custom role (key = role id, or '<id>_end'), falling back to English
+     * @param {string} translationKey
+     * @param {string} languageCode
+     * @returns {string}
+     */
+    getCustomAnnouncement(translationKey, languageCode) {
+        const roleId = translationKey.replace(/_end$/, '');
+        const role = this.custom.find(r => r.id === roleId);
+        if (!role?.announcements) return '';
+        const which = translationKey.endsWith('_end') ? 'end' : 'start';
+        return role.announcements[languageCode]?.[which] || role.announcements.en?.[which] || '';
+    }
+
+    /**
+     * Add or replace custom roles from an imported file:
+     * { "roles": [{ "id", "name", "team", "timer", "wakeup", "wakeupOrder", "img"?, "rules"?,
+     *   "announcements"?: { "<lang>": { "start", "end" } } }] } (or just the array)
+     * @param {Object|Array} data - Parsed JSON
+     * @returns {Array<Object>} The imported roles
+     * @throws {Error} When an entry is invalid; nothing is imported then
+     */
+    importCustomRoles(data) {
+        const entries = Array.isArray(data) ? data : data?.roles;
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error(t('ui.customRoles.error.noRoles'));
+        }
+
+        const imported = entries.map(entry => this._validateCustomRole(entry));
+        const ids = imported.map(r => r.id);
+        this.custom = [...this.custom.filter(r => !ids.includes(r.id)), ...imported];
+        localStorage.setItem('customRoles', JSON.stringify(this.custom));
+        return imported;
+    }
+
+    _validateCustomRole(entry) {
+        const label = entry?.id || entry?.name || t('ui.customRoles.error.aRole');
+        if (typeof entry?.id !== 'string' || !/^[a-z0-9-]+$/.test(entry.id)) {
+            throw new Error(t('ui.customRoles.error.id', { label }));
+        }
+        if (this.builtIn.some(r => r.id === entry.id)) {
+            throw new Error(t('ui.customRoles.error.builtInId', { label }));
+        }
+        if (typeof entry.name !== 'string' || !entry.name.trim()) {
+            throw new Error(t('ui.customRoles.error.name', { label }));
+        }
+        if (!ROLE_TEAMS.some(team => team.id === entry.team)) {
+            throw new Error(t('ui.customRoles.error.team', { label, teams: ROLE_TEAMS.map(team => team.id).join(', ') }));
+        }
+        const wakeup = entry.wakeup === true;
+        if (wakeup && !(Number.isFinite(entry.timer) && entry.timer > 0 && Number.isFinite(entry.wakeupOrder))) {
+            throw new Error(t('ui.customRoles.error.wakeup', { label }));
+        }
+
+        return {
+            id: entry.id,
+            name: entry.name.trim(),
+            team: entry.team,
+            img: typeof entry.img === 'string' && entry.img ? entry.img : PLACEHOLDER_ROLE_IMG,
+            timer: wakeup ? entry.timer : 0,
+            wakeup,
+            wakeupOrder: wakeup ? entry.wakeupOrder : 999,
+            rules: this._validateRules(entry.rules, label),
+            expansion: 'custom',
+            announcements: this._cleanAnnouncements(entry.announcements)
+        };
+    }
+
+    /**
+     * Keep only the texts of a custom role's announcements: { "<lang>": { "start"?, "end"? } }
+     * @param {*} announcements
+     * @returns {Object|undefined}
+     */
+    _cleanAnnouncements(announcements) {
+        if (!announcements || typeof announcements !== 'object') return undefined;
+        const cleaned = {};
+        Object.entries(announcements).forEach(([languageCode, texts]) => {
+            const kept = {};
+            ['start', 'end'].forEach(which => {
+                if (typeof texts?.[which] === 'string') kept[which] = texts[which];
+            });
+            if (Object.keys(kept).length > 0) cleaned[languageCode] = kept;
+        });
+        return cleaned;
+    }
+
+    /**
+     * Selection rules of a custom role, shaped like those in roles.json (see DEFAULT_ROLE_RULE)
+     * @param {*} rules
+     * @param {string} label - Role named in the error message
+     * @returns {Object|undefined} Only the known rule fields
+     * @throws {Error} When a field has the wrong type
+     */
+    _validateRules(rules, label) {
+        if (rules === undefined || rules === null) return undefined;
+        const fail = () => { throw new Error(t('ui.customRoles.error.rules', { label })); };
+        if (typeof rules !== 'object' || Array.isArray(rules)) fail();
+
+        const validated = {};
+        ['min', 'max', 'step'].forEach(field => {
+            if (rules[field] === undefined) return;
+            if (!Number.isInteger(rules[field]) || rules[field] < (field === 'step' ? 1 : 0)) fail();
+            validated[field] = rules[field];
+        });
+        if (validated.min !== undefined && validated.max !== undefined && validated.min > validated.max) fail();
+        ['requires', 'conflictsWith', 'recommendedWith'].forEach(field => {
+            if (rules[field] === undefined) return;
+            if (!Array.isArray(rules[field]) || !rules[field].every(id => typeof id === 'string')) fail();
+            validated[field] = [...rules[field]];
+        });
+        return validated;
+    }
+
+    /**
+     * @param {string} roleId
+     */
+    removeCustomRole(roleId) {
+        this.custom = this.custom.filter(r => r.id !== roleId);
+        localStorage.setItem('customRoles', JSON.stringify(this.custom));
+    }
+}
+
+// Global instance
+const roleCatalog = new RoleCatalog();
+
 // ============================================================
 // ROLE CLASS SYSTEM
 // ============================================================
 
 /**
  * Base Role class
- * Each specific role inherits from this class
+ * Roles with a night action inherit from this class; the others use it directly.
  */
 class Role {
     /**
-     * @param {string} id - Unique role identifier
-     * @param {string} name - Display name
-     * @param {string} img - Image path
-     * @param {number} timer - Countdown timer in seconds
-     * @param {boolean} wakeup - Whether this role wakes up at night
-     * @param {number} wakeupOrder - Wake up order (lower = earlier)
+     * @param {Object} entry - Role catalog entry (see roles.json)
+     * @param {string} entry.id - Unique role identifier
+     * @param {string} entry.name - Display name
+     * @param {string} entry.img - Image path
+     * @param {number} entry.timer - Countdown timer in seconds
+     * @param {boolean} entry.wakeup - Whether this role wakes up at night
+     * @param {number} entry.wakeupOrder - Wake up order (lower = earlier)
      */
-    constructor(id, name, img, timer, wakeup, wakeupOrder) {
+    constructor({ id, name, img, timer, wakeup, wakeupOrder }) {
         this.id = id;
         this.name = name;
         this.img = img;
@@ -116,12 +547,52 @@ class Role {
         return await translationManager.get(translationKey);
     }
 
+    /**
+     * Build an utterance in a language with its saved voice settings
+     * @param {string} text
+     * @param {string} [languageCode] - Defaults to the current language
+     * @returns {SpeechSynthesisUtterance}
+     */
+    static createUtterance(text, languageCode = translationManager.getCurrentLanguage()) {
+        const utterance = new SpeechSynthesisUtterance(text);
+        const settings = translationManager.getVoiceSettings(languageCode);
+
+        // Ensure the utterance language matches the language of the text
+        // (helps browsers choose the correct voice even when exact voice matching fails)
+        utterance.lang = translationManager.getSpeechLang(languageCode);
+
+        // Configure voice settings (Settings → Voice, saved per language)
+        utterance.rate = settings.rate;
+        utterance.pitch = settings.pitch;
+        utterance.volume = settings.volume;
+
+        // Select voice matching the language
+        const matchingVoice = translationManager.getMatchingVoice(languageCode);
+        if (matchingVoice) {
+            utterance.voice = matchingVoice;
+        } else {
+            // Fallback to first available voice
+            const voices = window.speechSynthesis.getVoices();
+            if (voices.length > 0) {
+                utterance.voice = voices[0];
+            }
+        }
+
+        return utterance;
+    }
+
     /**
      * Speak arbitrary text using Web Speech API
      * @param {string} text
+     * @param {string} [languageCode] - Language of the text; defaults to the current language
      * @returns {Promise<void>}
      */
-    static async speakText(text) {
+    static async speakText(text, languageCode) {
+        if (getNarrationMode() === 'silent') {
+            if (text) await SilentCue.announce(text);
+            return;
+        }
+
         return new Promise((resolve) => {
             // Check if speech synthesis is supported
             if (!('speechSynthesis' in window)) {
@@ -138,28 +609,7 @@ class Role {
             // Cancel any ongoing speech
             window.speechSynthesis.cancel();
 
-            const utterance = new SpeechSynthesisUtterance(text);
-
-            // Ensure the utterance language matches the selected UI language
-            // (helps browsers choose the correct voice even when exact voice matching fails)
-            utterance.lang = translationManager.getSpeechLang();
-
-            // Configure voice settings
-            utterance.rate = 0.9;    // Slightly slower for clarity
-            utterance.pitch = 1.0;   // Normal pitch
-            utterance.volume = 1.0;  // Full volume
-
-            // Select voice matching current language
-            const matchingVoice = translationManager.getMatchingVoice();
-            if (matchingVoice) {
-                utterance.voice = matchingVoice;
-            } else {
-                // Fallback to first available voice
-                const voices = window.speechSynthesis.getVoices();
-                if (voices.length > 0) {
-                    utterance.voice = voices[0];
-                }
-            }
+            const utterance = Role.createUtterance(text, languageCode);
 
             utterance.onend = () => resolve();
             utterance.onerror = (error) => {
@@ -172,170 +622,514 @@ class Role {
     }
 
     /**
-     * Speak an announcement by translation key using Web Speech API
-     * Defaults to this role's start announcement (role id).
+     * Play an announcement by translation key in each narration language, one after
+     * the other (see TranslationManager.getNarrationLanguages); resolves when the
+     * last one has finished
+     * @param {string} translationKey
+     * @param {Function} [isCancelled] - Checked before each language; when it returns
+     *   true (e.g. the night was restarted) the remaining languages are not played
+     * @returns {Promise<void>}
+     */
+    static async announce(translationKey, isCancelled = () => false) {
+        for (const languageCode of translationManager.getNarrationLanguages()) {
+            if (isCancelled()) return;
+            await Role.announceIn(translationKey, languageCode);
+        }
+    }
+
+    /**
+     * Play an announcement in one language: the selected audio pack's clip when it
+     * has one, otherwise the translated text through speakText (speech or silent cue)
      * @param {string} translationKey
+     * @param {string} languageCode
      * @returns {Promise<void>}
      */
-    async playAudio(translationKey = this.id) {
-        const announcement = await this.getAnnouncement(translationKey);
-        if (!announcement) {
-            console.warn(`No announcement text for key '${translationKey}' (${this.name})`);
+    static async announceIn(translationKey, languageCode) {
+        if (getNarrationMode() !== 'silent') {
+            const played = await audioPackManager.play(translationKey, languageCode);
+            // A stopped clip (e.g. the night was restarted) must not fall back to speech
+            if (played || audioPackManager.lastClipStopped) return;
+        }
+
+        const text = await translationManager.get(translationKey, languageCode)
+            || roleCatalog.getCustomAnnouncement(translationKey, languageCode);
+        if (!text) {
+            console.warn(`No announcement text for key '${translationKey}'`);
             return;
         }
-        await Role.speakText(announcement);
+        await Role.speakText(text, languageCode);
+    }
+
+    /**
+     * Play an announcement by translation key (audio pack clip or Web Speech API)
+     * Defaults to this role's start announcement (role id).
+     * @param {string} translationKey
+     * @param {Function} [isCancelled] - See Role.announce
+     * @returns {Promise<void>}
+     */
+    async playAudio(translationKey = this.id, isCancelled) {
+        await Role.announce(translationKey, isCancelled);
     }
 
     /**
      * Speak the role end announcement (e.g. "werewolf_end")
+     * @param {Function} [isCancelled] - See Role.announce
      * @returns {Promise<void>}
      */
-    async playEndAudio() {
-        await this.playAudio(`${this.id}_end`);
+    async playEndAudio(isCancelled) {
+        await this.playAudio(`${this.id}_end`, isCancelled);
+    }
+
+    /**
+     * Seats of the players who wake up during this role's step
+     * @param {CardTable} table
+     * @returns {Array<number>}
+     */
+    getActorSeats(table) {
+        return table.seatsWithStartingRole(this.id);
+    }
+
+    /**
+     * Describe this role's on-screen night action as a list of steps.
+     * A step asks the acting player to pick `players` player cards and/or `center`
+     * center cards (or one of `choices`), then `run(picks)` applies it to the table
+     * and returns `{ seen, message, next }`: the slots the player may look at,
+     * an optional text result, and follow-up steps (e.g. the Witch's swap).
+     * Seats in a step's `excludeSeats` cannot be picked.
+     * @param {{table: CardTable, seat: number, actors: Array<number>}} ctx
+     * @returns {Array<Object>}
+     */
+    getNightActions(ctx) {
+        return [];
     }
 }
 
+// ============================================================
+// NIGHT ACTION HELPERS
+// ============================================================
+
+// Cards that count as a Werewolf for other roles' actions
+const WEREWOLF_CARD_IDS = ['werewolf', 'alpha-wolf', 'mystic-wolf', 'dream-wolf'];
+
+// Artifact tokens the Curator may place
+const ARTIFACT_TOKENS = [
+    'Claw of the Werewolf',
+    'Brand of the Villager',
+    'Cudgel of the Tanner',
+    'Bow of the Hunter',
+    'Sword of the Bodyguard',
+    'Mask of Muting',
+    'Shroud of Shame',
+    'Void of Nothingness'
+];
+
+/**
+ * Build a step where the player simply looks at the picked cards
+ * @param {string} prompt
+ * @param {Object} pick - players/center/either/includeSelf/optional options
+ * @returns {Object}
+ */
+function createLookStep(prompt, pick) {
+    return {
+        prompt,
+        ...pick,
+        run: (picks) => ({ seen: picks })
+    };
+}
+
+/**
+ * Build the step shown instead of exchanging the actor's own card when it is shielded
+ * @param {{table: CardTable, seat: number}} ctx
+ * @returns {Object|null} null when the card is not shielded
+ */
+function createOwnCardShieldedStep(ctx) {
+    if (!ctx.table.isShielded(CardTable.playerSlot(ctx.seat))) return null;
+    return { prompt: t('ui.night.ownCardShielded'), run: () => ({}) };
+}
+
+/**
+ * Format a list of seats for display, e.g. "Player 1, Player 4"
+ * @param {Array<number>} seats
+ * @returns {string}
+ */
+function formatSeats(seats) {
+    return seats.map(seat => t('ui.seat.player', { n: seat + 1 })).join(', ');
+}
+
 // ============================================================
 // SPECIFIC ROLE IMPLEMENTATIONS
 // ============================================================
 
-// Werewolf Team
+// Werewolf Team (the Dream Wolf has no night action)
 class Werewolf extends Role {
-    constructor() {
-        super('werewolf', 'Werewolf', '/static/img/werewolf.jpg', 15, true, 2);
+    getActorSeats(table) {
+        // Alpha Wolf, Mystic Wolf and Dream Wolf are werewolves too and wake (or thumb up) together
+        return table.seatsActingAs(WEREWOLF_CARD_IDS);
+    }
+
+    getNightActions(ctx) {
+        if (ctx.actors.length === 1) {
+            return [createLookStep(t('ui.night.werewolf.alone'), { center: 1, optional: true })];
+        }
+        return [{
+            prompt: t('ui.night.werewolf.prompt'),
+            run: () => ({ message: t('ui.night.werewolf.result', { seats: formatSeats(ctx.actors) }) })
+        }];
     }
 }
 
 class Minion extends Role {
-    constructor() {
-        super('minion', 'Minion', '/static/img/minion.jpg', 10, true, 3);
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.minion.prompt'),
+            run: () => {
+                const wolves = ctx.table.seatsActingAs(WEREWOLF_CARD_IDS);
+                return { message: wolves.length > 0 ? t('ui.night.werewolf.result', { seats: formatSeats(wolves) }) : t('ui.night.minion.none') };
+            }
+        }];
     }
 }
 
 class AlphaWolf extends Role {
-    constructor() {
-        super('alpha-wolf', 'Alpha Wolf', '/static/img/alpha_wolf.png', 15, true, 2.2);
+    getNightActions(ctx) {
+        const wolfSlot = ctx.table.getCenterWolfSlot();
+        if (!wolfSlot) {
+            return [{ prompt: t('ui.night.alphaWolf.noCard'), run: () => ({}) }];
+        }
+        // The new werewolf must go to a player who is not a werewolf yet
+        const wolfSeats = ctx.table.players
+            .map((_, seat) => seat)
+            .filter(seat => WEREWOLF_CARD_IDS.includes(ctx.table.getCard(CardTable.playerSlot(seat))));
+        return [{
+            prompt: t('ui.night.alphaWolf.prompt'),
+            players: 1,
+            excludeSeats: [...wolfSeats, ...ctx.table.seatsActingAs(WEREWOLF_CARD_IDS)],
+            run: ([target]) => {
+                ctx.table.swap(wolfSlot, target);
+                return {};
+            }
+        }];
     }
 }
 
 class MysticWolf extends Role {
-    constructor() {
-        super('mystic-wolf', 'Mystic Wolf', '/static/img/mystic_wolf.png', 15, true, 2.3);
-    }
-}
-
-class DreamWolf extends Role {
-    constructor() {
-        super('dream-wolf', 'Dream Wolf', '/static/img/dream_wolf.png', 0, false, 999);
-    }
-}
-
-// Villager Team
-class Villager extends Role {
-    constructor() {
-        super('villager', 'Villager', '/static/img/villager.png', 0, false, 999);
+    getNightActions() {
+        return [createLookStep(t('ui.night.mysticWolf.prompt'), { players: 1, optional: true })];
     }
 }
 
+// Villager Team (the Villager, Bodyguard, Hunter and Tanner have no night action)
 class Mason extends Role {
-    constructor() {
-        super('mason', 'Mason', '/static/img/mason.png', 10, true, 4);
+    getActorSeats(table) {
+        return table.seatsActingAs(['mason']);
     }
-}
 
-class Sentinel extends Role {
-    constructor() {
-        super('sentinel', 'Sentinel', '/static/img/sentinel.png', 15, true, 0);
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.mason.prompt'),
+            run: () => ({ message: t('ui.night.mason.result', { seats: formatSeats(ctx.actors) }) })
+        }];
     }
 }
 
-class Bodyguard extends Role {
-    constructor() {
-        super('bodyguard', 'Bodyguard', '/static/img/bodyguard.png', 0, false, 999);
+class Sentinel extends Role {
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.sentinel.prompt'),
+            players: 1,
+            optional: true,
+            run: ([target]) => {
+                ctx.table.shield(target);
+                return { message: t('ui.night.sentinel.result', { slot: CardTable.describeSlot(target) }) };
+            }
+        }];
     }
 }
 
 class Seer extends Role {
-    constructor() {
-        super('seer', 'Seer', '/static/img/seer.png', 20, true, 5);
+    getNightActions() {
+        return [createLookStep(t('ui.night.seer.prompt'), { players: 1, center: 2, either: true, optional: true })];
     }
 }
 
 class ApprenticeSeer extends Role {
-    constructor() {
-        super('apprentice-seer', 'Apprentice Seer', '/static/img/apprentice_seer.png', 15, true, 5.2);
+    getNightActions() {
+        return [createLookStep(t('ui.night.lookAtCenter'), { center: 1, optional: true })];
     }
 }
 
 class ParanormalInvestigator extends Role {
-    constructor() {
-        super('paranormal-investigator', 'Paranormal Investigator', '/static/img/paranormal_investigator.png', 25, true, 5.3);
-    }
-}
+    getNightActions(ctx) {
+        const investigate = (prompt, remaining) => ({
+            prompt,
+            players: 1,
+            optional: true,
+            run: ([target]) => {
+                const card = ctx.table.getCard(target);
+                if (WEREWOLF_CARD_IDS.includes(card) || card === 'tanner') {
+                    const becomes = card === 'tanner' ? 'tanner' : 'werewolf';
+                    ctx.table.setBecomes(ctx.seat, becomes);
+                    return { seen: [target], message: t('ui.night.paranormalInvestigator.becomes', { role: roleCatalog.get(becomes)?.name || becomes }) };
+                }
+                return {
+                    seen: [target],
+                    next: remaining > 0 ? [investigate(t('ui.night.paranormalInvestigator.more'), remaining - 1)] : []
+                };
+            }
+        });
+        return [investigate(t('ui.night.paranormalInvestigator.prompt'), 1)];
+    }
+}
 
 class Witch extends Role {
-    constructor() {
-        super('witch', 'Witch', '/static/img/witch.png', 15, true, 6.2);
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.lookAtCenter'),
+            center: 1,
+            optional: true,
+            run: ([centerSlot]) => ({
+                seen: [centerSlot],
+                next: [{
+                    prompt: t('ui.night.witch.exchange'),
+                    players: 1,
+                    includeSelf: true,
+                    run: ([target]) => {
+                        ctx.table.swap(centerSlot, target);
+                        return {};
+                    }
+                }]
+            })
+        }];
     }
 }
 
+// Copied roles the Doppelgänger performs at the end of its own phase rather than
+// after the original role, as in the rulebook's wake order
+const DOPPELGANGER_IN_PHASE_ROLE_IDS = ['minion'];
+
 class Doppelganger extends Role {
-    constructor() {
-        super('doppelganger', 'Doppelgänger', '/static/img/doppelganger.jpg', 20, true, 1);
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.doppelganger.prompt'),
+            players: 1,
+            run: ([target]) => {
+                const copiedId = ctx.table.getCard(target);
+                ctx.table.setDoppelgangerRole(copiedId);
+
+                // Roles that act later or wake with their team don't act now
+                const copied = RoleFactory.createRole(copiedId);
+                const actsLater = DOPPELGANGER_FOLLOW_UP_ROLE_IDS.includes(copiedId)
+                    || WEREWOLF_CARD_IDS.includes(copiedId)
+                    || copiedId === 'mason';
+                const next = copied && copied.wakeup && !actsLater ? copied.getNightActions(ctx) : [];
+                return {
+                    seen: [target],
+                    message: next.length > 0 ? t('ui.night.doppelganger.act') : '',
+                    next
+                };
+            }
+        }];
+    }
+
+    /**
+     * Build the extra wake-ups the Doppelgänger needs for the roles in play.
+     * Roles listed in DOPPELGANGER_FOLLOW_UP_ROLE_IDS act later in the night, so a
+     * Doppelgänger who copied one of them wakes again right after that role (or
+     * right after its own phase for DOPPELGANGER_IN_PHASE_ROLE_IDS).
+     * @param {Array<Role>} roles - Selected Role instances
+     * @returns {Array<DoppelgangerSubPhase>}
+     */
+    static createSubPhases(roles) {
+        const doppelganger = roles.find(role => role.id === 'doppelganger');
+        if (!doppelganger) return [];
+        return roles
+            .filter(role => DOPPELGANGER_FOLLOW_UP_ROLE_IDS.includes(role.id))
+            .map(role => new DoppelgangerSubPhase(role, DOPPELGANGER_IN_PHASE_ROLE_IDS.includes(role.id)
+                ? doppelganger.wakeupOrder
+                : role.wakeupOrder));
+    }
+}
+
+/**
+ * Extra Doppelgänger wake-up, e.g. "Doppelgänger-Insomniac".
+ * Announced whenever both roles are in play so the table cannot tell what was copied.
+ */
+class DoppelgangerSubPhase extends Role {
+    /**
+     * @param {Role} copiedRole - The role whose action the Doppelgänger repeats
+     * @param {number} [afterOrder] - Wake right after this order (defaults to the copied role's)
+     */
+    constructor(copiedRole, afterOrder = copiedRole.wakeupOrder) {
+        super({
+            id: `doppelganger-${copiedRole.id}`,
+            name: t('ui.night.doppelganger.subPhase', { doppelganger: roleCatalog.get('doppelganger')?.name || 'Doppelgänger', role: copiedRole.name }),
+            img: roleCatalog.get('doppelganger')?.img,
+            timer: copiedRole.timer,
+            wakeup: true,
+            wakeupOrder: afterOrder + 0.01
+        });
+        this.copiedRole = copiedRole;
+        this.isSubPhase = true;
+    }
+
+    getActorSeats(table) {
+        if (table.doppelgangerRole !== this.copiedRole.id) return [];
+        return table.seatsWithStartingRole('doppelganger');
+    }
+
+    getNightActions(ctx) {
+        return this.copiedRole.getNightActions(ctx);
     }
 }
 
 class Robber extends Role {
-    constructor() {
-        super('robber', 'Robber', '/static/img/robber.png', 15, true, 6);
+    getNightActions(ctx) {
+        const shielded = createOwnCardShieldedStep(ctx);
+        if (shielded) return [shielded];
+        return [{
+            prompt: t('ui.night.robber.prompt'),
+            players: 1,
+            optional: true,
+            run: ([target]) => {
+                const ownSlot = CardTable.playerSlot(ctx.seat);
+                ctx.table.swap(ownSlot, target);
+                return { seen: [ownSlot] };
+            }
+        }];
     }
 }
 
 class Troublemaker extends Role {
-    constructor() {
-        super('troublemaker', 'Troublemaker', '/static/img/troublemaker.png', 15, true, 7);
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.troublemaker.prompt'),
+            players: 2,
+            optional: true,
+            run: ([first, second]) => {
+                ctx.table.swap(first, second);
+                return {};
+            }
+        }];
     }
 }
 
 class Drunk extends Role {
-    constructor() {
-        super('drunk', 'Drunk', '/static/img/drunk.png', 10, true, 8);
+    getNightActions(ctx) {
+        const shielded = createOwnCardShieldedStep(ctx);
+        if (shielded) return [shielded];
+        return [{
+            prompt: t('ui.night.drunk.prompt'),
+            center: 1,
+            run: ([centerSlot]) => {
+                ctx.table.swap(CardTable.playerSlot(ctx.seat), centerSlot);
+                return {};
+            }
+        }];
     }
 }
 
 class Insomniac extends Role {
-    constructor() {
-        super('insomniac', 'Insomniac', '/static/img/insomniac.png', 10, true, 9);
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.insomniac.prompt'),
+            run: () => ({ seen: [CardTable.playerSlot(ctx.seat)] })
+        }];
     }
 }
 
 class Revealer extends Role {
-    constructor() {
-        super('revealer', 'Revealer', '/static/img/revealer.png', 15, true, 10);
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.revealer.prompt'),
+            players: 1,
+            optional: true,
+            run: ([target]) => {
+                const card = ctx.table.getCard(target);
+                if (WEREWOLF_CARD_IDS.includes(card) || card === 'tanner') {
+                    return { seen: [target], message: t('ui.night.revealer.faceDown') };
+                }
+                ctx.table.reveal(target);
+                return { seen: [target], message: t('ui.night.revealer.faceUp') };
+            }
+        }];
     }
 }
 
 class Curator extends Role {
-    constructor() {
-        super('curator', 'Curator', '/static/img/curator.png', 15, true, 11);
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.curator.prompt'),
+            players: 1,
+            includeSelf: true,
+            optional: true,
+            run: ([target]) => {
+                const artifact = ARTIFACT_TOKENS[Math.floor(Math.random() * ARTIFACT_TOKENS.length)];
+                ctx.table.placeArtifact(target, artifact);
+                return { message: t('ui.night.curator.result', { slot: CardTable.describeSlot(target) }) };
+            }
+        }];
     }
 }
 
-class Hunter extends Role {
-    constructor() {
-        super('hunter', 'Hunter', '/static/img/hunter.png', 0, false, 999);
+class VillageIdiot extends Role {
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.villageIdiot.prompt'),
+            choices: [
+                { value: 1, label: t('ui.night.villageIdiot.clockwise') },
+                { value: -1, label: t('ui.night.villageIdiot.counterclockwise') }
+            ],
+            optional: true,
+            run: ([direction]) => {
+                ctx.table.rotatePlayers(direction, ctx.seat);
+                return {};
+            }
+        }];
     }
 }
 
-class Tanner extends Role {
-    constructor() {
-        super('tanner', 'Tanner', '/static/img/tanner.png', 0, false, 999);
+// Vampire, Alien and Super Villains teams: they wake together; marks and other
+// expansion tokens are handled at the table
+const VAMPIRE_CARD_IDS = ['vampire', 'the-master', 'the-count'];
+const ALIEN_CARD_IDS = ['alien', 'synthetic-alien'];
+const SUPER_VILLAIN_CARD_IDS = ['super-villain', 'temptress', 'dr-peeker', 'rapscallion'];
+
+class Vampire extends Role {
+    getActorSeats(table) {
+        return table.seatsActingAs(VAMPIRE_CARD_IDS);
+    }
+
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.vampire.prompt'),
+            run: () => ({ message: t('ui.night.vampire.result', { seats: formatSeats(ctx.actors) }) })
+        }];
     }
 }
 
-class VillageIdiot extends Role {
-    constructor() {
-        super('village-idiot', 'Village Idiot', '/static/img/village_idiot.png', 20, true, 7.2);
+class Alien extends Role {
+    getActorSeats(table) {
+        return table.seatsActingAs(ALIEN_CARD_IDS);
+    }
+
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.alien.prompt'),
+            run: () => ({ message: t('ui.night.alien.result', { seats: formatSeats(ctx.actors) }) })
+        }];
+    }
+}
+
+class SuperVillain extends Role {
+    getActorSeats(table) {
+        return table.seatsActingAs(SUPER_VILLAIN_CARD_IDS);
+    }
+
+    getNightActions(ctx) {
+        return [{
+            prompt: t('ui.night.superVillain.prompt'),
+            run: () => ({ message: t('ui.night.superVillain.result', { seats: formatSeats(ctx.actors) }) })
+        }];
     }
 }
 
@@ -365,39 +1159,185 @@ if ('speechSynthesis' in window) {
     loadVoices();
 }
 
+// ============================================================
+// PACING SETTINGS
+// ============================================================
+
+// Game-wide pacing: role timers are scaled, then per-role overrides win (labels: 'ui.pacing.preset.<id>')
+const PACING_PRESETS = [
+    { id: 'beginner', timerScale: 1.5, transitionPauseMs: 4000 },
+    { id: 'standard', timerScale: 1, transitionPauseMs: 2000 },
+    { id: 'speed-run', timerScale: 0.6, transitionPauseMs: 1000 }
+];
+
+// Shortest timer a preset may scale a role down to, in seconds
+const MIN_ROLE_TIMER_SECONDS = 5;
+
+/**
+ * Timer overrides, pacing preset and transition pause, saved in localStorage ('pacing')
+ */
+class PacingSettings {
+    constructor() {
+        const saved = this._load();
+        this.presetId = saved.presetId || 'standard';
+        this.timerOverrides = saved.timerOverrides || {};      // { roleId: seconds }
+        this.transitionPauseMs = saved.transitionPauseMs ?? null; // null = preset default
+    }
+
+    _load() {
+        try {
+            return JSON.parse(localStorage.getItem('pacing')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    _save() {
+        localStorage.setItem('pacing', JSON.stringify({
+            presetId: this.presetId,
+            timerOverrides: this.timerOverrides,
+            transitionPauseMs: this.transitionPauseMs
+        }));
+    }
+
+    /**
+     * @returns {{id: string, timerScale: number, transitionPauseMs: number}}
+     */
+    getPreset() {
+        return PACING_PRESETS.find(p => p.id === this.presetId) || PACING_PRESETS[1];
+    }
+
+    /**
+     * Choose a preset; the transition pause goes back to the preset's own value
+     * @param {string} presetId
+     */
+    setPreset(presetId) {
+        this.presetId = presetId;
+        this.transitionPauseMs = null;
+        this._save();
+    }
+
+    /**
+     * Timer a role gets from the preset alone
+     * @param {number} defaultSeconds - The role's built-in timer
+     * @returns {number}
+     */
+    getPresetTimer(defaultSeconds) {
+        const scaled = Math.round(defaultSeconds * this.getPreset().timerScale);
+        return Math.max(Math.min(MIN_ROLE_TIMER_SECONDS, defaultSeconds), scaled);
+    }
+
+    /**
+     * Timer to use for a role: the override if set, otherwise the preset timer
+     * @param {string} roleId
+     * @param {number} defaultSeconds - The role's built-in timer
+     * @returns {number}
+     */
+    getTimer(roleId, defaultSeconds) {
+        return this.timerOverrides[roleId] ?? this.getPresetTimer(defaultSeconds);
+    }
+
+    /**
+     * @param {string} roleId
+     * @param {number|null} seconds - null removes the override
+     */
+    setTimerOverride(roleId, seconds) {
+        if (seconds === null) {
+            delete this.timerOverrides[roleId];
+        } else {
+            this.timerOverrides[roleId] = seconds;
+        }
+        this._save();
+    }
+
+    /**
+     * @returns {number} Pause between two roles in milliseconds
+     */
+    getTransitionPauseMs() {
+        return this.transitionPauseMs ?? this.getPreset().transitionPauseMs;
+    }
+
+    /**
+     * @param {number} ms
+     */
+    setTransitionPauseMs(ms) {
+        this.transitionPauseMs = ms;
+        this._save();
+    }
+
+    /**
+     * Back to the Standard preset with no overrides
+     */
+    reset() {
+        this.presetId = 'standard';
+        this.timerOverrides = {};
+        this.transitionPauseMs = null;
+        this._save();
+    }
+}
+
+// Global instance
+const pacingSettings = new PacingSettings();
+
+// Night behaviour by role id; timers, wake order and names come from the role catalog
+const ROLE_CLASSES = {
+    'doppelganger': Doppelganger,
+    'werewolf': Werewolf,
+    'minion': Minion,
+    'alpha-wolf': AlphaWolf,
+    'mystic-wolf': MysticWolf,
+    'mason': Mason,
+    'sentinel': Sentinel,
+    'seer': Seer,
+    'apprentice-seer': ApprenticeSeer,
+    'paranormal-investigator': ParanormalInvestigator,
+    'witch': Witch,
+    'robber': Robber,
+    'troublemaker': Troublemaker,
+    'drunk': Drunk,
+    'insomniac': Insomniac,
+    'revealer': Revealer,
+    'curator': Curator,
+    'village-idiot': VillageIdiot,
+    'vampire': Vampire,
+    'alien': Alien,
+    'super-villain': SuperVillain,
+    // Expansion roles whose action matches a base role
+    'psychic': MysticWolf,
+    'dr-peeker': MysticWolf,
+    'rapscallion': ApprenticeSeer,
+    'annoying-lad': Troublemaker
+};
+
 /**
  * Factory to create Role instances by ID
  */
 const RoleFactory = {
+    /**
+     * Create a role with its timer adjusted by the pacing settings
+     * @param {string} id
+     * @returns {Role|null}
+     */
     createRole(id) {
-        const roleMap = {
-            'doppelganger': Doppelganger,
-            'werewolf': Werewolf,
-            'minion': Minion,
-            'alpha-wolf': AlphaWolf,
-            'mystic-wolf': MysticWolf,
-            'dream-wolf': DreamWolf,
-            'villager': Villager,
-            'mason': Mason,
-            'sentinel': Sentinel,
-            'bodyguard': Bodyguard,
-            'seer': Seer,
-            'apprentice-seer': ApprenticeSeer,
-            'paranormal-investigator': ParanormalInvestigator,
-            'witch': Witch,
-            'robber': Robber,
-            'troublemaker': Troublemaker,
-            'drunk': Drunk,
-            'insomniac': Insomniac,
-            'revealer': Revealer,
-            'curator': Curator,
-            'hunter': Hunter,
-            'tanner': Tanner,
-            'village-idiot': VillageIdiot
-        };
+        const role = this.createBaseRole(id);
+        if (role) {
+            role.timer = pacingSettings.getTimer(id, role.timer);
+        }
+        return role;
+    },
+
+    /**
+     * Create a role with its catalog timer
+     * @param {string} id
+     * @returns {Role|null}
+     */
+    createBaseRole(id) {
+        const entry = roleCatalog.get(id);
+        if (!entry) return null;
 
-        const RoleClass = roleMap[id];
-        return RoleClass ? new RoleClass() : null;
+        // Roles without a night action (and custom roles) use the base class
+        const RoleClass = ROLE_CLASSES[id] || Role;
+        return new RoleClass(entry);
     }
 };
 
@@ -418,9 +1358,17 @@ class WorkflowManager {
         this.isPaused = false;
         this.isTransitioning = false;
         this.transitionPauseMs = 2000;
+        // Whether the role at currentIndex has been woken (its announcement spoken)
+        this.isRoleAnnounced = false;
+        // Bumped by reset() so announcements still finishing from before are ignored
+        this._nightId = 0;
 
         this.countdownTickSound = new CountdownTickSound();
         this._halfTickTimeoutId = null;
+
+        // One entry per role step that has started, see _beginLogEntry()
+        this.nightLog = [];
+        this._pausedAt = null;
     }
 
     _clearHalfTickTimeout() {
@@ -435,10 +1383,11 @@ class WorkflowManager {
      * @param {Array<Role>} roles - Array of Role instances
      */
     setRoles(roles) {
-        // Filter roles that wake up at night and sort by wakeup order
-        this.roles = roles
+        // Add Doppelgänger sub-phases, then filter roles that wake up at night and sort by wakeup order
+        this.roles = [...roles, ...Doppelganger.createSubPhases(roles)]
             .filter(role => role.wakeup)
             .sort((a, b) => a.wakeupOrder - b.wakeupOrder);
+        this.transitionPauseMs = pacingSettings.getTransitionPauseMs();
         this.reset();
     }
 
@@ -446,14 +1395,21 @@ class WorkflowManager {
      * Reset workflow to initial state
      */
     reset() {
-        // Cancel any ongoing speech
+        // Cancel any ongoing speech, audio clip or silent cue
         window.speechSynthesis.cancel();
+        audioPackManager.stop();
+        SilentCue.hide();
         this.stop();
         this._clearHalfTickTimeout();
+        this._nightId += 1;
+        this.isTransitioning = false;
         this.currentIndex = 0;
         this.remainingTime = this.roles[0]?.timer || 0;
+        this.isRoleAnnounced = false;
         this.isRunning = false;
         this.isPaused = false;
+        this.nightLog = [];
+        this._pausedAt = null;
     }
 
     /**
@@ -469,12 +1425,32 @@ class WorkflowManager {
         const currentRole = this.roles[this.currentIndex];
         if (!currentRole) return;
 
-        // If we're (re)starting at the top of a role, speak the announcement first,
+        // A closed entry is an earlier turn of this role (jumped back to after the night)
+        const entry = this._getCurrentLogEntry();
+        const isOpen = entry && entry.endedAt === null;
+        if (isOpen && this._pausedAt) {
+            entry.pausedMs += Date.now() - this._pausedAt;
+        }
+        this._pausedAt = null;
+
+        // If the role has not been woken yet, speak the announcement first,
         // then begin the countdown ticks.
-        if (this.remainingTime === currentRole.timer) {
-            await currentRole.playAudio();
+        if (!this.isRoleAnnounced) {
+            this.isRoleAnnounced = true;
+            if (!isOpen) this._beginLogEntry();
+            // Treated as a transition: skips and pausing wait until it has been spoken
+            const nightId = this._nightId;
+            this.isTransitioning = true;
+            try {
+                await currentRole.playAudio(currentRole.id, () => nightId !== this._nightId);
+            } finally {
+                if (nightId === this._nightId) this.isTransitioning = false;
+            }
+            if (nightId !== this._nightId) return;
         }
 
+        // Stopped while the announcement played
+        if (!this.isRunning || this.intervalId) return;
         this.intervalId = setInterval(() => {
             this.tick();
         }, 1000);
@@ -486,6 +1462,7 @@ class WorkflowManager {
     pause() {
         this.isPaused = true;
         this.isRunning = false;
+        this._pausedAt = Date.now();
         this._clearHalfTickTimeout();
         if (this.intervalId) {
             clearInterval(this.intervalId);
@@ -551,17 +1528,17 @@ class WorkflowManager {
         }
     }
 
-    async _playSystemAudio(translationKey) {
-        const text = await translationManager.get(translationKey);
-        if (!text) {
-            console.warn(`No system announcement text for key '${translationKey}'`);
-            return;
-        }
-        await Role.speakText(text);
+    async _playSystemAudio(translationKey, isCancelled) {
+        await Role.announce(translationKey, isCancelled);
     }
 
-    _beginRoleTransition() {
-        if (this.isTransitioning) return;
+    /**
+     * End the current role and wake the next one (or another one)
+     * @param {number} [nextIndex] - Defaults to the role after the current one
+     * @returns {Promise<void>} Resolves when the transition has finished
+     */
+    _beginRoleTransition(nextIndex = this.currentIndex + 1) {
+        if (this.isTransitioning) return Promise.resolve();
         this.isTransitioning = true;
 
         // Prevent any scheduled half-ticks from beeping during announcements.
@@ -573,17 +1550,22 @@ class WorkflowManager {
             this.intervalId = null;
         }
 
-        this._transitionFromCurrentRole()
+        const nightId = this._nightId;
+        return this._transitionFromCurrentRole(nextIndex)
             .catch((err) => console.warn('Workflow transition error:', err))
             .finally(() => {
-                this.isTransitioning = false;
+                if (nightId === this._nightId) this.isTransitioning = false;
             });
     }
 
-    async _transitionFromCurrentRole() {
+    async _transitionFromCurrentRole(nextIndex) {
+        const nightId = this._nightId;
+        // Restarted meanwhile: stop before the next narration language or step
+        const isCancelled = () => nightId !== this._nightId;
         const currentRole = this.roles[this.currentIndex] || null;
+        this._endLogEntry();
         if (currentRole) {
-            await currentRole.playEndAudio();
+            await currentRole.playEndAudio(isCancelled);
         }
 
         // Small pause between back-to-back announcements to improve clarity.
@@ -591,21 +1573,32 @@ class WorkflowManager {
             await new Promise((resolve) => setTimeout(resolve, this.transitionPauseMs));
         }
 
-        this.currentIndex += 1;
+        if (isCancelled()) return;
+
+        this.currentIndex = nextIndex;
 
         if (this.currentIndex >= this.roles.length) {
             // Workflow complete: after the last role's end announcement, everybody opens eyes.
             this.stop();
-            await this._playSystemAudio('all_open_eyes');
+            await this._playSystemAudio('all_open_eyes', isCancelled);
             return;
         }
 
         // Set up next role
         this.remainingTime = this.roles[this.currentIndex].timer;
-        await this.roles[this.currentIndex].playAudio();
+        this.isRoleAnnounced = false;
+
+        // Skipped to while paused: start() announces it when the night resumes
+        if (this.isPaused) return;
+
+        this.isRoleAnnounced = true;
+        this._beginLogEntry();
+        const nextRole = this.roles[this.currentIndex];
+        await nextRole.playAudio(nextRole.id, isCancelled);
+        if (isCancelled()) return;
 
         // Resume ticking if the workflow is still running
-        if (this.isRunning && !this.isPaused) {
+        if (this.isRunning && !this.isPaused && !this.intervalId) {
             this.intervalId = setInterval(() => {
                 this.tick();
             }, 1000);
@@ -613,20 +1606,128 @@ class WorkflowManager {
     }
 
     /**
-     * Move to the next role in sequence
+     * Open the log entry for the role at currentIndex
      */
-    async advanceToNextRole() {
-        this.currentIndex += 1;
+    _beginLogEntry() {
+        const role = this.roles[this.currentIndex];
+        if (!role) return;
+        this.nightLog.push({
+            index: this.currentIndex,
+            roleId: role.id,
+            name: role.name,
+            img: role.img,
+            startedAt: Date.now(),
+            endedAt: null,
+            pausedMs: 0,
+            skipped: false,
+            actions: []
+        });
+    }
 
-        if (this.currentIndex >= this.roles.length) {
-            // Workflow complete
-            this.stop();
+    /**
+     * Close the log entry of the current role
+     */
+    _endLogEntry() {
+        const entry = this._getCurrentLogEntry();
+        if (entry && entry.endedAt === null) {
+            entry.endedAt = Date.now();
+            // Ended before its timer ran out
+            entry.skipped = this.remainingTime > 0;
+            // Interrupted while paused; the rest of the pause is not this role's
+            if (this._pausedAt) {
+                entry.pausedMs += entry.endedAt - this._pausedAt;
+                this._pausedAt = entry.endedAt;
+            }
+        }
+    }
+
+    /**
+     * @returns {Object|null} Log entry of the role at currentIndex, if it has started
+     */
+    _getCurrentLogEntry() {
+        const entry = this.nightLog[this.nightLog.length - 1];
+        return entry && entry.index === this.currentIndex ? entry : null;
+    }
+
+    /**
+     * Record a night action performed during the current role's step
+     * @param {{seats: Array<number>, prompt: string, picks: Array|null, seen: Array<string>, message: string, skipped: boolean, cardsAfter: Object}} action
+     */
+    recordAction(action) {
+        const entry = this._getCurrentLogEntry();
+        if (!entry) return;
+        entry.actions.push({ ...action, at: Date.now() });
+    }
+
+    /**
+     * Actions the role at an index took during its earlier turns, before the
+     * night went back to it
+     * @param {number} index - Role index
+     * @returns {Array<Object>} Entries recorded by recordAction()
+     */
+    getEarlierActions(index) {
+        return this.nightLog
+            .filter(entry => entry.index === index && entry.endedAt !== null)
+            .flatMap(entry => entry.actions);
+    }
+
+    /**
+     * Structured log of the night: one entry per role step with timestamps,
+     * paused time, whether it was skipped and the actions taken
+     * @returns {Array<Object>}
+     */
+    getNightLog() {
+        return this.nightLog;
+    }
+
+    /**
+     * Continue the night at another role. During the night the current role's end
+     * announcement is spoken first, then the role is woken with a full timer (when
+     * paused, only once the night resumes). Before the night starts, or once it is
+     * over, this only chooses where Start begins. Ignored during a transition.
+     * @param {number} index - Role index; roles.length ends the night
+     * @returns {Promise<void>} Resolves when the new role has been announced
+     */
+    async jumpTo(index) {
+        if (this.isTransitioning || this.roles.length === 0) return;
+        const target = Math.max(0, Math.min(index, this.roles.length));
+
+        if (!this.isRunning && !this.isPaused) {
+            if (target >= this.roles.length) return;
+            this.currentIndex = target;
+            this.remainingTime = this.roles[target].timer;
+            this.isRoleAnnounced = false;
             return;
         }
 
-        // Set up next role
-        this.remainingTime = this.roles[this.currentIndex].timer;
-        await this.roles[this.currentIndex].playAudio();
+        if (target === this.currentIndex) return;
+        await this._beginRoleTransition(target);
+    }
+
+    /**
+     * Move to the next role in sequence (the current one finished early)
+     * @returns {Promise<void>}
+     */
+    async advanceToNextRole() {
+        await this.jumpTo(this.currentIndex + 1);
+    }
+
+    /**
+     * Go back to the previous role, e.g. when it needs another turn
+     * @returns {Promise<void>}
+     */
+    async returnToPreviousRole() {
+        await this.jumpTo(this.currentIndex - 1);
+    }
+
+    /**
+     * Give the current role more time
+     * @param {number} [seconds]
+     */
+    extendCurrentRole(seconds = 10) {
+        if (this.isTransitioning || !(this.isRunning || this.isPaused)) return;
+        if (!this.getCurrentRole()) return;
+        this.remainingTime += seconds;
     }
 
     /**
@@ -650,451 +1751,2281 @@ class WorkflowManager {
 const workflowManager = new WorkflowManager();
 
 // ============================================================
-// API AND UTILITY FUNCTIONS
+// CARD TABLE
 // ============================================================
 
-async function makeApiCall(endpoint) {
-    const responseElement = document.getElementById('api-response');
-    if (!responseElement) return;
-    try {
-        responseElement.innerHTML = '<p class="loading">Loading...</p>';
-        const response = await fetch(API_BASE_URL + endpoint);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        const data = await response.json();
-        responseElement.innerHTML = `<pre>${JSON.stringify(data, null, 2)}</pre>`;
-    } catch (err) {
-        responseElement.innerHTML = `<p class="error">Error: ${err.message}</p>`;
+/**
+ * Tracks which card lies in front of each player and in the center.
+ * Cards are addressed by slot strings: "player:<seat>" or "center:<index>".
+ */
+class CardTable {
+    constructor() {
+        this.clear();
     }
-}
 
-const menu = [
-    { id: 'role-assignment', label: 'Play a game', children: [] },
-    { id: 'rules-reference', label: 'Rules reference', children: [
-        { id: 'rules-by-role', label: 'Rules by role' },
-        { id: 'general-rules', label: 'General rules' }
-    ]},
-    { id: 'settings', label: 'Settings', children: [
-        { id: 'language', label: 'Language' },
-        { id: 'health-check', label: 'Health check' },
-        { id: 'app-info', label: 'App info' }
-    ]}
-];
+    /**
+     * @param {number} seat - Zero-based seat index
+     * @returns {string}
+     */
+    static playerSlot(seat) {
+        return `player:${seat}`;
+    }
 
-// Role data (use local images downloaded from One Night Wiki)
-// Legacy format for UI display - will be converted to Role instances
-const WEREWOLF_ROLES = [
-    { id: 'werewolf', name: 'Werewolf', img: '/static/img/werewolf.jpg' },
-    { id: 'minion', name: 'Minion', img: '/static/img/minion.jpg' },
-    { id: 'alpha-wolf', name: 'Alpha Wolf', img: '/static/img/alpha_wolf.png' },
-    { id: 'mystic-wolf', name: 'Mystic Wolf', img: '/static/img/mystic_wolf.png' },
-    { id: 'dream-wolf', name: 'Dream Wolf', img: '/static/img/dream_wolf.png' }
-];
+    /**
+     * @param {number} index - Zero-based center card index
+     * @returns {string}
+     */
+    static centerSlot(index) {
+        return `center:${index}`;
+    }
 
-const VILLAGER_ROLES = [
-    { id: 'doppelganger', name: 'Doppelgänger', img: '/static/img/doppelganger.jpg' },
-    { id: 'villager', name: 'Villager', img: '/static/img/villager.png' },
-    { id: 'mason', name: 'Mason', img: '/static/img/mason.png' },
-    { id: 'sentinel', name: 'Sentinel', img: '/static/img/sentinel.png' },
-    { id: 'bodyguard', name: 'Bodyguard', img: '/static/img/bodyguard.png' },
-    { id: 'seer', name: 'Seer', img: '/static/img/seer.png' },
-    { id: 'apprentice-seer', name: 'Apprentice Seer', img: '/static/img/apprentice_seer.png' },
-    { id: 'paranormal-investigator', name: 'Paranormal Investigator', img: '/static/img/paranormal_investigator.png' },
-    { id: 'witch', name: 'Witch', img: '/static/img/witch.png' },
-    { id: 'robber', name: 'Robber', img: '/static/img/robber.png' },
-    { id: 'troublemaker', name: 'Troublemaker', img: '/static/img/troublemaker.png' },
-    { id: 'drunk', name: 'Drunk', img: '/static/img/drunk.png' },
-    { id: 'insomniac', name: 'Insomniac', img: '/static/img/insomniac.png' },
-    { id: 'revealer', name: 'Revealer', img: '/static/img/revealer.png' },
-    { id: 'curator', name: 'Curator', img: '/static/img/curator.png' },
-    { id: 'hunter', name: 'Hunter', img: '/static/img/hunter.png' },
-    { id: 'tanner', name: 'Tanner', img: '/static/img/tanner.png' },
-    { id: 'village-idiot', name: 'Village Idiot', img: '/static/img/village_idiot.png' }
-];
+    /**
+     * @param {string} slot
+     * @returns {{area: string, index: number}}
+     */
+    static parseSlot(slot) {
+        const [area, index] = slot.split(':');
+        return { area, index: parseInt(index, 10) };
+    }
 
-// Role multiplicity configuration
-const ROLE_MULTIPLICITY = {
-    'werewolf': 2,        // Up to 2 werewolves
-    'minion': 1,
-    'alpha-wolf': 1,
-    'mystic-wolf': 1,
-    'dream-wolf': 1,
-    'doppelganger': 1,
-    'villager': 3,        // Up to 3 villagers
-    'mason': { min: 0, max: 2, step: 2 },  // 0 or 2 masons only
-    'sentinel': 1,
-    'bodyguard': 1,
-    'seer': 1,
-    'apprentice-seer': 1,
-    'paranormal-investigator': 1,
-    'witch': 1,
-    'robber': 1,
-    'troublemaker': 1,
-    'drunk': 1,
-    'insomniac': 1,
-    'revealer': 1,
-    'curator': 1,
-    'hunter': 1,
-    'tanner': 1,
-    'village-idiot': 1
-};
+    /**
+     * Human readable slot name, e.g. "Player 2" or "Center 1"
+     * @param {string} slot
+     * @returns {string}
+     */
+    static describeSlot(slot) {
+        const { area, index } = CardTable.parseSlot(slot);
+        return t(area === 'player' ? 'ui.seat.player' : 'ui.seat.center', { n: index + 1 });
+    }
 
-// Map of selected role counts: { roleId: count }
-let selectedRoles = new Map();
+    /**
+     * Shuffle the deck and deal one card to each seat, the rest to the center
+     * @param {Array<string>} deck - Role ids, one entry per physical card
+     * @param {number} numPlayers
+     */
+    deal(deck, numPlayers) {
+        this.clear();
+        const cards = [...deck];
+        // Fisher-Yates shuffle
+        for (let i = cards.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [cards[i], cards[j]] = [cards[j], cards[i]];
+        }
 
-/**
- * Check if Insomniac can be selected (requires Robber or Troublemaker in the game)
- * @returns {boolean} true if Robber or Troublemaker is selected
- */
-function isInsomniacAvailable() {
-    return (selectedRoles.get('robber') || 0) > 0 || (selectedRoles.get('troublemaker') || 0) > 0;
-}
+        this.players = cards.slice(0, numPlayers);
+        this.center = cards.slice(numPlayers);
+        // The Alpha Wolf needs an extra Werewolf card lying sideways in the center
+        if (deck.includes('alpha-wolf')) {
+            this.center.push('werewolf');
+            this.centerWolfIndex = this.center.length - 1;
+        }
+        this.startingPlayers = [...this.players];
+        this.startingCenter = [...this.center];
+    }
 
-/**
- * Get the maximum allowed count for a role
- * @param {string} roleId
- * @returns {number}
- */
-function getMaxRoleCount(roleId) {
-    const config = ROLE_MULTIPLICITY[roleId];
-    if (typeof config === 'number') return config;
-    if (typeof config === 'object' && config.max) return config.max;
-    return 1;
-}
+    /**
+     * Forget the current deal (e.g. when playing with physical cards)
+     */
+    clear() {
+        this.players = [];
+        this.center = [];
+        this.startingPlayers = [];
+        this.startingCenter = [];
+        this.centerWolfIndex = -1;
+        this.shields = new Set();
+        this.revealed = new Set();
+        this.artifacts = new Map();
+        this.becomes = new Map();
+        this.doppelgangerRole = null;
+    }
 
-/**
- * Get the minimum allowed count for a role
- * @param {string} roleId
- * @returns {number}
- */
-function getMinRoleCount(roleId) {
-    const config = ROLE_MULTIPLICITY[roleId];
-    if (typeof config === 'object' && config.min !== undefined) return config.min;
-    return 0;
-}
+    /**
+     * Put every card back where it was dealt, e.g. when the night is restarted
+     */
+    resetNight() {
+        this.players = [...this.startingPlayers];
+        this.center = [...this.startingCenter];
+        this.shields = new Set();
+        this.revealed = new Set();
+        this.artifacts = new Map();
+        this.becomes = new Map();
+        this.doppelgangerRole = null;
+    }
 
-/**
- * Get total count of selected roles
- * @returns {number}
- */
-function getTotalRoleCount() {
-    let total = 0;
-    selectedRoles.forEach(count => { total += count; });
-    return total;
-}
+    /**
+     * Copy of the current card positions, for the night log
+     * @returns {{players: Array<string>, center: Array<string>}}
+     */
+    snapshot() {
+        return { players: [...this.players], center: [...this.center] };
+    }
 
-function toggleRole(role, increment = true) {
-    const required = getRequiredCards();
-    const currentCount = selectedRoles.get(role.id) || 0;
-    const maxCount = getMaxRoleCount(role.id);
-    const minCount = getMinRoleCount(role.id);
-    
-    let newCount = currentCount;
-    
-    if (increment) {
-        // Left click behavior: add an instance
-        // Special handling for Mason: can only be 0 or 2
-        if (role.id === 'mason') {
-            if (currentCount === 0) {
-                if (getTotalRoleCount() + 2 > required) {
-                    flashSelectionLimit();
-                    return;
-                }
-                newCount = 2;
-            } else {
-                // Already selected; left-click does not remove. Use right-click to remove.
-                return;
-            }
-        } else {
-            // Single-instance roles toggle on left click
-            if (maxCount === 1) {
-                newCount = currentCount > 0 ? 0 : 1;
-                if (newCount === 1 && getTotalRoleCount() + 1 > required) {
-                    flashSelectionLimit();
-                    return;
-                }
-            } else {
-                // Multi-instance roles: increment up to max
-                if (currentCount >= maxCount) return;
-                if (getTotalRoleCount() + 1 > required) {
-                    flashSelectionLimit();
-                    return;
-                }
-                newCount = currentCount + 1;
-            }
-        }
-    } else {
-        // Right click behavior: remove an instance
-        if (role.id === 'mason') {
-            newCount = 0;
-        } else {
-            if (currentCount <= 0) return;
-            newCount = Math.max(minCount, currentCount - 1);
-        }
+    /**
+     * @returns {boolean} true once cards have been dealt
+     */
+    isDealt() {
+        return this.players.length > 0;
     }
-    
-    // Prevent selecting Insomniac if requirement not met
-    if (role.id === 'insomniac' && newCount > currentCount && !isInsomniacAvailable()) {
-        flashSelectionLimit();
-        return;
+
+    /**
+     * Get the role id currently in front of a player
+     * @param {number} seat - Zero-based seat index
+     * @returns {string|null}
+     */
+    getPlayerCard(seat) {
+        return this.players[seat] || null;
     }
-    
-    // Update role count
-    if (newCount > 0) {
-        selectedRoles.set(role.id, newCount);
-    } else {
-        selectedRoles.delete(role.id);
-        
-        // Auto-deselect Insomniac if its requirement (Robber or Troublemaker) is no longer met
-        if ((role.id === 'robber' || role.id === 'troublemaker') && (selectedRoles.get('insomniac') || 0) > 0 && !isInsomniacAvailable()) {
-            selectedRoles.delete('insomniac');
-        }
+
+    /**
+     * @param {string} slot
+     * @returns {string|null} Role id of the card in the slot
+     */
+    getCard(slot) {
+        const { area, index } = CardTable.parseSlot(slot);
+        const cards = area === 'player' ? this.players : this.center;
+        return cards[index] || null;
     }
-    
-    updateRoleGridSelection();
-    updateSelectedPanel();
-    updateCountsDisplay();
-}
 
-function flashSelectionLimit() {
-    const el = document.querySelector('.selection-limit-flash');
-    if (!el) return;
-    el.classList.add('flash');
-    setTimeout(() => el.classList.remove('flash'), 800);
-}
+    /**
+     * @param {string} slot
+     * @param {string} roleId
+     */
+    setCard(slot, roleId) {
+        const { area, index } = CardTable.parseSlot(slot);
+        const cards = area === 'player' ? this.players : this.center;
+        cards[index] = roleId;
+    }
 
-function getRequiredCards() {
-    const input = document.getElementById('num-players');
-    const n = input ? parseInt(input.value || '0', 10) : 0;
-    return n + 3;
-}
+    /**
+     * Exchange the cards in two slots
+     * @param {string} a
+     * @param {string} b
+     */
+    swap(a, b) {
+        const cardA = this.getCard(a);
+        this.setCard(a, this.getCard(b));
+        this.setCard(b, cardA);
+    }
 
-function updateCountsDisplay() {
-    const selCountEl = document.getElementById('selected-count');
-    const reqCountEl = document.getElementById('required-count');
-    const totalCount = getTotalRoleCount();
-    const required = getRequiredCards();
-    
-    if (selCountEl) selCountEl.textContent = totalCount;
-    if (reqCountEl) reqCountEl.textContent = required;
+    /**
+     * Move every player card one seat along, skipping `exceptSeat` and shielded seats
+     * @param {number} direction - 1 for clockwise, -1 for counterclockwise
+     * @param {number} exceptSeat - Seat that keeps its card (the Village Idiot)
+     */
+    rotatePlayers(direction, exceptSeat) {
+        const seats = this.players
+            .map((_, seat) => seat)
+            .filter(seat => seat !== exceptSeat && !this.isShielded(CardTable.playerSlot(seat)));
+        if (seats.length < 2) return;
+        const cards = seats.map(seat => this.players[seat]);
+        seats.forEach((seat, i) => {
+            const from = (i - direction + seats.length) % seats.length;
+            this.players[seat] = cards[from];
+        });
+    }
 
-    const startGameBtn = document.getElementById('start-game');
-    if (startGameBtn) {
-        startGameBtn.disabled = !(required > 0 && totalCount === required);
+    /**
+     * Seats whose card was dealt as one of the given roles
+     * @param {string} roleId
+     * @returns {Array<number>}
+     */
+    seatsWithStartingRole(roleId) {
+        return this.startingPlayers
+            .map((card, seat) => (card === roleId ? seat : -1))
+            .filter(seat => seat >= 0);
     }
-}
 
-function updateRoleGridSelection() {
-    document.querySelectorAll('.role-card').forEach(card => {
-        const id = card.dataset.roleId;
-        const count = selectedRoles.get(id) || 0;
-        
-        // Update selection state
-        if (count > 0) {
-            card.classList.add('selected');
-            // Show count for roles that can have multiple instances
-            const maxCount = getMaxRoleCount(id);
-            if (maxCount > 1) {
-                const countLabel = card.querySelector('.role-count');
-                if (countLabel) {
-                    countLabel.textContent = count;
-                } else {
-                    const label = document.createElement('span');
-                    label.className = 'role-count';
-                    label.textContent = count;
-                    card.appendChild(label);
-                }
-            }
-        } else {
-            card.classList.remove('selected');
-            const countLabel = card.querySelector('.role-count');
-            if (countLabel) countLabel.remove();
-        }
-        
-        // Handle Insomniac availability
-        if (id === 'insomniac') {
-            if (isInsomniacAvailable() || count > 0) {
-                card.classList.remove('disabled');
-                card.style.pointerEvents = 'auto';
-                card.style.opacity = '1';
-            } else {
-                card.classList.add('disabled');
-                card.style.pointerEvents = 'none';
-                card.style.opacity = '0.5';
-            }
-        }
-    });
-}
+    /**
+     * Seats acting as one of the given roles, including a Doppelgänger who copied one
+     * @param {Array<string>} roleIds
+     * @returns {Array<number>}
+     */
+    seatsActingAs(roleIds) {
+        return this.startingPlayers
+            .map((card, seat) => {
+                const acting = card === 'doppelganger' ? this.doppelgangerRole : card;
+                return roleIds.includes(acting) ? seat : -1;
+            })
+            .filter(seat => seat >= 0);
+    }
 
-function updateSelectedPanel() {
-    const panel = document.getElementById('selected-panel-list');
-    if (!panel) return;
-    panel.innerHTML = '';
-    
-    selectedRoles.forEach((count, roleId) => {
-        const roleData = WEREWOLF_ROLES.find(r => r.id === roleId) || VILLAGER_ROLES.find(r => r.id === roleId);
-        if (!roleData) return;
-        
-        for (let i = 0; i < count; i++) {
-            const item = document.createElement('div');
-            item.className = 'selected-item';
-            item.innerHTML = `<span class="avatar-small"><img src="${roleData.img}" alt="${roleData.name}"/></span><span class="name">${roleData.name}</span>`;
-            panel.appendChild(item);
-        }
-    });
-    
-    const clearBtn = document.getElementById('clear-selection');
-    if (clearBtn) clearBtn.disabled = getTotalRoleCount() === 0;
+    /**
+     * Role each player ends the night as: the Doppelgänger card counts as the copied
+     * role, and a Paranormal Investigator who saw a Werewolf or Tanner joins that team.
+     * @returns {Array<string>} Role ids by seat
+     */
+    getFinalRoles() {
+        return this.players.map((card, seat) => {
+            if (card === 'doppelganger' && this.doppelgangerRole) return this.doppelgangerRole;
+            if (card === 'paranormal-investigator' && this.becomes.has(seat)) return this.becomes.get(seat);
+            return card;
+        });
+    }
+
+    /**
+     * @returns {string|null} Slot of the Alpha Wolf's center Werewolf card
+     */
+    getCenterWolfSlot() {
+        return this.centerWolfIndex >= 0 ? CardTable.centerSlot(this.centerWolfIndex) : null;
+    }
+
+    /**
+     * @param {string} roleId - Role the Doppelgänger copied
+     */
+    setDoppelgangerRole(roleId) {
+        this.doppelgangerRole = roleId;
+    }
+
+    /**
+     * Record that a player changed team during the night (Paranormal Investigator)
+     * @param {number} seat
+     * @param {string} roleId
+     */
+    setBecomes(seat, roleId) {
+        this.becomes.set(seat, roleId);
+    }
+
+    /**
+     * @param {string} slot
+     */
+    shield(slot) {
+        this.shields.add(slot);
+    }
+
+    /**
+     * Shielded cards cannot be viewed or moved
+     * @param {string} slot
+     * @returns {boolean}
+     */
+    isShielded(slot) {
+        return this.shields.has(slot);
+    }
+
+    /**
+     * @param {string} slot
+     */
+    reveal(slot) {
+        this.revealed.add(slot);
+    }
+
+    /**
+     * @param {string} slot
+     * @param {string} artifact
+     */
+    placeArtifact(slot, artifact) {
+        this.artifacts.set(slot, artifact);
+    }
 }
 
+// Global card table instance
+const cardTable = new CardTable();
+
+// ============================================================
+// DAY PHASE
+// ============================================================
+
+// Discussion length choices in seconds
+const DISCUSSION_DURATIONS = [180, 300, 420, 600];
+
+// The countdown beeps during the last seconds of the discussion
+const DISCUSSION_WARNING_SECONDS = 10;
+
+// Teams that win when none of their members dies. The Synthetic Alien wakes with
+// the aliens but is not on their team.
+const MONSTER_TEAMS = [
+    { id: 'werewolf', cards: WEREWOLF_CARD_IDS },
+    { id: 'vampire', cards: VAMPIRE_CARD_IDS },
+    { id: 'alien', cards: ['alien'] },
+    { id: 'villain', cards: SUPER_VILLAIN_CARD_IDS }
+];
+
 /**
- * Convert selected roles to Role instances and initialize workflow
- * @returns {Array<Role>}
+ * Work out who dies and which teams win from the final roles and the votes.
+ * - A player needs at least two votes to die; ties kill everyone tied.
+ * - The Prince and the Bodyguard's vote target cannot die (the next most voted
+ *   player dies instead).
+ * - A Hunter who dies takes the player they voted for down too.
+ * - A Cursed player who gets a werewolf's vote becomes a werewolf.
+ * - Werewolves, vampires, aliens and super villains each win if none of them died;
+ *   the village needs at least one member of every such team among the players to die.
+ * - A Tanner who dies wins, and those teams lose even if none of them died. The
+ *   Apprentice Tanner wins with the Tanner, or plays the Tanner when no player is one.
+ * @param {Array<string>} finalRoles - Role id by seat at the end of the night
+ * @param {Array<number>} votes - Target seat by voting seat
+ * @returns {{eliminated: Array<number>, winners: Array<string>, votesReceived: Array<number>}}
  */
-function getSelectedRoleInstances() {
-    const roleInstances = [];
-    selectedRoles.forEach((count, roleId) => {
-        if (!count || count <= 0) return;
-        const role = RoleFactory.createRole(roleId);
-        if (role) roleInstances.push(role);
+function resolveVotes(finalRoles, votes) {
+    const votesReceived = finalRoles.map(() => 0);
+    votes.forEach(target => {
+        if (target >= 0 && target < votesReceived.length) votesReceived[target] += 1;
     });
-    return roleInstances;
+
+    const protectedSeats = new Set();
+    finalRoles.forEach((role, seat) => {
+        if (role === 'bodyguard' && votes[seat] >= 0) protectedSeats.add(votes[seat]);
+        if (role === 'prince') protectedSeats.add(seat);
+    });
+
+    // The Cursed turns before the votes are counted, so it counts as a werewolf below
+    const roles = finalRoles.map((role, seat) => (role === 'cursed'
+        && votes.some((target, voter) => target === seat && WEREWOLF_CARD_IDS.includes(finalRoles[voter]))
+        ? 'werewolf'
+        : role));
+
+    // Most voted players (at least two votes) die, skipping protected players
+    const candidates = votesReceived
+        .map((count, seat) => ({ count, seat }))
+        .filter(({ seat }) => !protectedSeats.has(seat));
+    const maxVotes = Math.max(0, ...candidates.map(c => c.count));
+    const eliminated = maxVotes >= 2
+        ? candidates.filter(c => c.count === maxVotes).map(c => c.seat)
+        : [];
+
+    // Hunters take their target with them (which may chain to another Hunter)
+    for (let i = 0; i < eliminated.length; i++) {
+        const seat = eliminated[i];
+        const target = votes[seat];
+        if (finalRoles[seat] === 'hunter' && target >= 0 && !protectedSeats.has(target) && !eliminated.includes(target)) {
+            eliminated.push(target);
+        }
+    }
+
+    const dead = eliminated.map(seat => roles[seat]);
+    const apprenticeInPlay = roles.includes('apprentice-tanner');
+    const tannerDied = dead.includes('tanner')
+        || (!roles.includes('tanner') && dead.includes('apprentice-tanner'));
+    const minionInPlay = roles.includes('minion');
+    const teamsInPlay = MONSTER_TEAMS.filter(team => roles.some(role => team.cards.includes(role)));
+    const teamLost = team => dead.some(role => team.cards.includes(role));
+
+    const winners = [];
+    if (teamsInPlay.length > 0) {
+        if (teamsInPlay.every(teamLost)) winners.push('village');
+        if (!tannerDied) {
+            teamsInPlay.filter(team => !teamLost(team)).forEach(team => winners.push(team.id));
+        }
+    } else {
+        const othersDied = dead.some(role => role !== 'minion' && role !== 'tanner');
+        if (dead.length === 0 || dead.includes('minion')) {
+            winners.push('village');
+        } else if (minionInPlay && othersDied) {
+            // With no werewolves among the players, the Minion wins if anyone else dies
+            winners.push('werewolf');
+        }
+    }
+    if (dead.includes('tanner')) winners.push('tanner');
+    if (apprenticeInPlay && tannerDied) winners.push('apprentice-tanner');
+
+    return { eliminated, winners, votesReceived };
 }
 
 /**
- * Update UI to reflect current workflow state
+ * Runs the discussion countdown of the day phase
  */
-function updateWorkflowUI() {
-    const roles = workflowManager.roles;
-    const currentIndex = workflowManager.currentIndex;
+class DayPhaseManager {
+    constructor() {
+        this.discussionSeconds = parseInt(localStorage.getItem('discussionSeconds') || '300', 10);
+        this.remainingTime = this.discussionSeconds;
+        this.intervalId = null;
+        this.isRunning = false;
+        this.onTimeUp = null;
 
-    // Update node states
-    document.querySelectorAll('.wakeup-node').forEach((node, idx) => {
-        node.classList.remove('active', 'completed');
-        if (idx < currentIndex) {
-            node.classList.add('completed');
-        } else if (idx === currentIndex) {
-            node.classList.add('active');
-        }
-    });
+        this.countdownTickSound = new CountdownTickSound();
+    }
 
-    // Update arrows
-    document.querySelectorAll('.wakeup-arrows line').forEach((line, idx) => {
-        line.classList.remove('completed');
-        if (idx < currentIndex) {
-            line.classList.add('completed');
+    /**
+     * Change and remember the discussion length
+     * @param {number} seconds
+     */
+    setDiscussionSeconds(seconds) {
+        this.discussionSeconds = seconds;
+        localStorage.setItem('discussionSeconds', String(seconds));
+        this.reset();
+    }
+
+    /**
+     * Start or resume the discussion countdown
+     */
+    start() {
+        if (this.isRunning || this.remainingTime <= 0) return;
+        this.countdownTickSound.unlock();
+        this.isRunning = true;
+        this.intervalId = setInterval(() => this.tick(), 1000);
+    }
+
+    /**
+     * Pause the countdown
+     */
+    pause() {
+        this.isRunning = false;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
         }
-    });
+    }
 
-    // Update timer display
-    document.querySelectorAll('.wakeup-node .timer').forEach(el => (el.textContent = ''));
-    const activeTimer = document.querySelector(`.wakeup-node[data-index="${currentIndex}"] .timer`);
-    if (activeTimer && workflowManager.remainingTime > 0) {
-        activeTimer.textContent = `${workflowManager.remainingTime}s`;
+    /**
+     * Stop and rewind the countdown
+     */
+    reset() {
+        this.pause();
+        this.remainingTime = this.discussionSeconds;
     }
 
-    // Update button text
-    const btn = document.getElementById('wakeup-start');
-    if (btn) {
-        if (workflowManager.isComplete()) {
-            btn.textContent = 'Complete';
-            btn.disabled = true;
-        } else {
-            btn.textContent = workflowManager.isRunning ? 'Pause' : 'Start';
-            btn.disabled = false;
+    /**
+     * Execute one tick of the timer
+     */
+    tick() {
+        if (!this.isRunning) return;
+        this.remainingTime -= 1;
+
+        if (this.remainingTime > 0 && this.remainingTime <= DISCUSSION_WARNING_SECONDS) {
+            this.countdownTickSound.playTick();
+        }
+
+        if (this.remainingTime <= 0) {
+            this.remainingTime = 0;
+            this.pause();
+            if (this.onTimeUp) this.onTimeUp();
         }
     }
 }
 
-/**
- * Start UI update loop
- */
-function startUIUpdateLoop() {
-    // Update UI every 100ms for smooth display
-    const updateInterval = setInterval(() => {
-        if (workflowManager.isRunning || workflowManager.isPaused) {
-            updateWorkflowUI();
-        } else if (workflowManager.isComplete()) {
-            updateWorkflowUI();
-            clearInterval(updateInterval);
-        }
-    }, 100);
+// Global day phase instance
+const dayPhaseManager = new DayPhaseManager();
+
+/**
+ * Play a system announcement by translation key
+ * @param {string} translationKey
+ * @returns {Promise<void>}
+ */
+async function speakAnnouncement(translationKey) {
+    await Role.announce(translationKey);
+}
+
+// ============================================================
+// API AND UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Escape text for innerHTML, e.g. names typed on another device
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+async function makeApiCall(endpoint) {
+    const responseElement = document.getElementById('api-response');
+    if (!responseElement) return;
+    try {
+        responseElement.innerHTML = `<p class="loading">${t('ui.common.loading')}</p>`;
+        const response = await fetch(API_BASE_URL + endpoint);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        responseElement.innerHTML = `<pre>${JSON.stringify(data, null, 2)}</pre>`;
+    } catch (err) {
+        responseElement.innerHTML = `<p class="error">${t('ui.common.error', { message: err.message })}</p>`;
+    }
+}
+
+// Sidebar entries; labels come from 'ui.menu.<id>'
+const menu = [
+    { id: 'role-assignment', children: [] },
+    { id: 'room', children: [
+        { id: 'room-host' },
+        { id: 'room-join' }
+    ]},
+    { id: 'rules-reference', children: [
+        { id: 'rules-by-role' },
+        { id: 'general-rules' }
+    ]},
+    { id: 'settings', children: [
+        { id: 'language' },
+        { id: 'voice' },
+        { id: 'pacing' },
+        { id: 'custom-roles' },
+        { id: 'audio-pack' },
+        { id: 'offline' },
+        { id: 'translations' },
+        { id: 'health-check' },
+        { id: 'app-info' }
+    ]}
+];
+
+// ============================================================
+// ROLE RULES
+// ============================================================
+
+/**
+ * Selection rules come from the "rules" field of each role catalog entry; fields
+ * left out take the DEFAULT_ROLE_RULE value.
+ * - min / max / step: allowed counts, added and removed `step` cards at a time
+ * - requires: at least one of these roles must already be selected
+ * - conflictsWith: cannot be selected together with any of these roles
+ * - recommendedWith: only a warning when none of these roles is selected
+ */
+const DEFAULT_ROLE_RULE = { min: 0, max: 1, step: 1, requires: [], conflictsWith: [], recommendedWith: [] };
+
+// Share of werewolf-team cards above which a setup is flagged as unbalanced
+const MAX_WEREWOLF_TEAM_SHARE = 0.5;
+
+/**
+ * Checks on the setup as a whole. Each returns a message when it applies.
+ * Severity 'error' blocks starting the game; 'warning' and 'info' only explain.
+ */
+const SETUP_RULES = [
+    {
+        severity: 'warning',
+        check: (counts) => (MONSTER_TEAMS.some(team => team.cards.some(id => counts.has(id)))
+            ? null
+            : t('ui.setup.warning.noMonsters'))
+    },
+    {
+        severity: 'warning',
+        check: (counts, required) => {
+            const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+            const werewolfTeam = roleCatalog.getByTeam('werewolf').reduce((sum, r) => sum + (counts.get(r.id) || 0), 0);
+            return total === required && werewolfTeam / total > MAX_WEREWOLF_TEAM_SHARE
+                ? t('ui.setup.warning.unbalanced')
+                : null;
+        }
+    },
+    {
+        severity: 'info',
+        check: (counts) => (counts.has('alpha-wolf')
+            ? t('ui.setup.warning.alphaWolf')
+            : null)
+    }
+];
+
+// Player count preselected on the Role Assignment page
+const DEFAULT_PLAYER_COUNT = 5;
+
+// Map of selected role counts: { roleId: count }, restored from the last visit
+let selectedRoles = new Map(Object.entries(loadCurrentSelection().roles || {}));
+
+// Player count of the setup, restored from the last visit (shown by #num-players)
+let selectedPlayerCount = loadCurrentSelection().players || DEFAULT_PLAYER_COUNT;
+
+// ============================================================
+// SAVED SETUPS
+// ============================================================
+
+// Share links carry a setup in the URL hash: #setup&players=5&roles=werewolf:2,seer:1&timers=seer:30&lang=es
+const SHARE_LINK_PREFIX = '#setup&';
+
+// Recommended setups from the rulebooks, one per player count (cards = players + 3);
+// names come from `nameKey` with the player count
+const BUILT_IN_SETUPS = [
+    { id: 'first-game-3', nameKey: 'ui.setup.builtIn.firstGame', players: 3,
+        roles: { 'werewolf': 2, 'seer': 1, 'robber': 1, 'troublemaker': 1, 'villager': 1 } },
+    { id: 'first-game-4', nameKey: 'ui.setup.builtIn.firstGame', players: 4,
+        roles: { 'werewolf': 2, 'seer': 1, 'robber': 1, 'troublemaker': 1, 'villager': 2 } },
+    { id: 'first-game-5', nameKey: 'ui.setup.builtIn.firstGame', players: 5,
+        roles: { 'werewolf': 2, 'seer': 1, 'robber': 1, 'troublemaker': 1, 'drunk': 1, 'insomniac': 1, 'villager': 1 } },
+    { id: 'standard-6', nameKey: 'ui.setup.builtIn.standard', players: 6,
+        roles: { 'werewolf': 2, 'minion': 1, 'seer': 1, 'robber': 1, 'troublemaker': 1, 'drunk': 1, 'insomniac': 1, 'villager': 1 } },
+    { id: 'standard-7', nameKey: 'ui.setup.builtIn.standard', players: 7,
+        roles: { 'werewolf': 2, 'minion': 1, 'seer': 1, 'robber': 1, 'troublemaker': 1, 'drunk': 1, 'insomniac': 1, 'tanner': 1, 'hunter': 1 } },
+    { id: 'standard-8', nameKey: 'ui.setup.builtIn.standard', players: 8,
+        roles: { 'werewolf': 2, 'minion': 1, 'mason': 2, 'seer': 1, 'robber': 1, 'troublemaker': 1, 'drunk': 1, 'insomniac': 1, 'tanner': 1 } },
+    { id: 'standard-9', nameKey: 'ui.setup.builtIn.standard', players: 9,
+        roles: { 'werewolf': 2, 'minion': 1, 'mason': 2, 'seer': 1, 'robber': 1, 'troublemaker': 1, 'drunk': 1, 'insomniac': 1, 'tanner': 1, 'hunter': 1 } },
+    { id: 'standard-10', nameKey: 'ui.setup.builtIn.standard', players: 10,
+        roles: { 'werewolf': 2, 'minion': 1, 'mason': 2, 'seer': 1, 'robber': 1, 'troublemaker': 1, 'drunk': 1, 'insomniac': 1, 'tanner': 1, 'hunter': 1, 'villager': 1 } },
+    { id: 'daybreak-6', nameKey: 'ui.setup.builtIn.daybreak', players: 6,
+        roles: { 'werewolf': 1, 'alpha-wolf': 1, 'mystic-wolf': 1, 'sentinel': 1, 'apprentice-seer': 1, 'paranormal-investigator': 1, 'witch': 1, 'revealer': 1, 'villager': 1 } }
+];
+
+/**
+ * Read the selection left from the last visit ('currentSetup' in localStorage)
+ * @returns {{players?: number, roles?: Object<string, number>}}
+ */
+function loadCurrentSelection() {
+    try {
+        return JSON.parse(localStorage.getItem('currentSetup')) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Player count of the current setup, also when the Role Assignment page is not shown
+ * @returns {number}
+ */
+function getSelectedPlayerCount() {
+    return selectedPlayerCount;
+}
+
+/**
+ * Remember the player count and role selection across reloads
+ */
+function saveCurrentSelection() {
+    localStorage.setItem('currentSetup', JSON.stringify({
+        players: getSelectedPlayerCount(),
+        roles: Object.fromEntries(selectedRoles)
+    }));
+}
+
+/**
+ * @returns {Array<{name: string, players: number, roles: Object<string, number>}>}
+ */
+function getSavedSetups() {
+    try {
+        return JSON.parse(localStorage.getItem('savedSetups')) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Save the current selection under a name, replacing a setup with the same name
+ * @param {string} name
+ */
+function saveSetup(name) {
+    const setups = getSavedSetups().filter(setup => setup.name !== name);
+    setups.push({
+        name,
+        players: getSelectedPlayerCount(),
+        roles: Object.fromEntries(selectedRoles)
+    });
+    setups.sort((a, b) => a.players - b.players || a.name.localeCompare(b.name));
+    localStorage.setItem('savedSetups', JSON.stringify(setups));
+}
+
+/**
+ * @param {string} name
+ */
+function deleteSetup(name) {
+    const setups = getSavedSetups().filter(setup => setup.name !== name);
+    localStorage.setItem('savedSetups', JSON.stringify(setups));
+}
+
+/**
+ * Load a setup into the Role Assignment page. Unknown roles are skipped and
+ * counts are capped at each role's maximum.
+ * @param {{players: number, roles: Object<string, number>}} setup
+ */
+function applySetup(setup) {
+    selectedPlayerCount = setup.players;
+    const input = document.getElementById('num-players');
+    if (input) input.value = String(setup.players);
+
+    selectedRoles.clear();
+    Object.entries(setup.roles).forEach(([roleId, count]) => {
+        if (!getRoleData(roleId) || count <= 0) return;
+        selectedRoles.set(roleId, Math.min(count, getMaxRoleCount(roleId)));
+    });
+
+    saveCurrentSelection();
+
+    // Show hidden expansions the setup uses, so every selected card is on the grid
+    const hidden = [...selectedRoles.keys()].filter(roleId => !roleCatalog.isShown(roleId));
+    if (hidden.length > 0) {
+        hidden.forEach(roleId => roleCatalog.setExpansionShown(getRoleData(roleId).expansion, true));
+        renderContent('role-assignment');
+        return;
+    }
+
+    updateRoleGridSelection();
+    updateSelectedPanel();
+    updateCountsDisplay();
+}
+
+/**
+ * Build a link that opens this app with the current setup pre-filled:
+ * player count, role counts, timer overrides of the selected roles and language
+ * @returns {string}
+ */
+function buildShareLink() {
+    const roles = [...selectedRoles].map(([roleId, count]) => `${roleId}:${count}`);
+    const timers = [...selectedRoles.keys()]
+        .filter(roleId => pacingSettings.timerOverrides[roleId] !== undefined)
+        .map(roleId => `${roleId}:${pacingSettings.timerOverrides[roleId]}`);
+
+    const params = [`players=${getSelectedPlayerCount()}`, `roles=${roles.join(',')}`];
+    if (timers.length > 0) params.push(`timers=${timers.join(',')}`);
+    params.push(`lang=${translationManager.getCurrentLanguage()}`);
+
+    return `${window.location.origin}${window.location.pathname}${SHARE_LINK_PREFIX}${params.join('&')}`;
+}
+
+/**
+ * Read a setup from a share link hash
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {{players: number, roles: Object<string, number>, timers: Object<string, number>, lang: string|null}|null}
+ */
+function parseShareLink(hash) {
+    if (!hash.startsWith(SHARE_LINK_PREFIX)) return null;
+    const params = new URLSearchParams(hash.slice(SHARE_LINK_PREFIX.length));
+
+    const players = parseInt(params.get('players'), 10);
+    if (!(players >= 3 && players <= 10)) return null;
+
+    // "id:count,id:count" with known role ids and positive counts
+    const parsePairs = (value, isValid) => Object.fromEntries(
+        (value || '').split(',')
+            .map(pair => pair.split(':'))
+            .map(([roleId, count]) => [roleId, parseInt(count, 10)])
+            .filter(([roleId, count]) => getRoleData(roleId) && count > 0 && isValid(count))
+    );
+
+    return {
+        players,
+        roles: parsePairs(params.get('roles'), () => true), // applySetup() caps the counts
+        timers: parsePairs(params.get('timers'), count => count <= 600),
+        lang: params.get('lang')
+    };
+}
+
+/**
+ * Open the Role Assignment page with a shared setup, then drop the hash so a
+ * reload does not apply it again
+ * @param {Object} setup - From parseShareLink()
+ */
+async function applySharedSetup(setup) {
+    const isSupported = translationManager.getSupportedLanguages().some(lang => lang.code === setup.lang);
+    if (isSupported) {
+        await translationManager.setLanguage(setup.lang);
+    }
+    Object.entries(setup.timers).forEach(([roleId, seconds]) => {
+        pacingSettings.setTimerOverride(roleId, seconds);
+    });
+
+    setActive('role-assignment');
+    renderContent('role-assignment');
+    applySetup(setup);
+
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+/**
+ * Fill the share panel with the link and its QR code
+ * @param {HTMLElement} panel
+ */
+function renderSharePanel(panel) {
+    const link = buildShareLink();
+    let qrSvg = '';
+    try {
+        qrSvg = QrCode.toSvg(QrCode.encode(link));
+    } catch (error) {
+        console.warn('Could not build QR code:', error);
+    }
+
+    panel.innerHTML = `
+        <p>${t('ui.share.hint')}</p>
+        <div class="share-link">
+            <input type="text" id="share-link" readonly value="${link}">
+            <button id="share-copy" class="btn btn-small">${t('ui.share.copy')}</button>
+        </div>
+        <div class="share-qr">${qrSvg}</div>
+    `;
+
+    const input = panel.querySelector('#share-link');
+    input.addEventListener('focus', () => input.select());
+    panel.querySelector('#share-copy').addEventListener('click', async (e) => {
+        try {
+            await navigator.clipboard.writeText(link);
+            e.target.textContent = t('ui.share.copied');
+        } catch (error) {
+            // Clipboard API needs a secure context; let the user copy by hand
+            input.focus();
+        }
+    });
+}
+
+// ============================================================
+// RANDOM SETUP GENERATOR
+// ============================================================
+
+// Default share of werewolf-team cards in a random setup, in percent
+const DEFAULT_WEREWOLF_SHARE = 25;
+
+/**
+ * Seeded pseudo-random number generator (mulberry32 over a hashed seed), so the
+ * same seed and options always produce the same setup
+ * @param {string} seed
+ * @returns {function(): number} Returns floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let h = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        h = Math.imul(h ^ seed.charCodeAt(i), 16777619);
+    }
+    let state = h >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @returns {string} A short random seed to show the host
+ */
+function createRandomSeed() {
+    return Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Fill exactly `required` card slots at random, honoring the role rules (counts,
+ * steps such as the Mason pair, requirements and conflicts)
+ * @param {number} required - Cards to fill (players + 3)
+ * @param {Object} options
+ * @param {string} options.seed
+ * @param {number} [options.werewolfShare=25] - Target percentage of werewolf-team cards
+ * @param {string[]} [options.include=[]] - Roles that must be in the setup
+ * @param {string[]} [options.exclude=[]] - Roles that must not be in the setup
+ * @returns {Map<string, number>} Role counts
+ * @throws {Error} When the constraints cannot be met
+ */
+function generateRandomSetup(required, { seed, werewolfShare = DEFAULT_WEREWOLF_SHARE, include = [], exclude = [] }) {
+    const random = createSeededRandom(seed);
+    const counts = new Map();
+    const total = () => [...counts.values()].reduce((sum, count) => sum + count, 0);
+    const werewolfTeamIds = roleCatalog.getByTeam('werewolf').map(r => r.id);
+    const countTeam = (ids) => ids.reduce((sum, id) => sum + (counts.get(id) || 0), 0);
+
+    const canAdd = (roleId) => !exclude.includes(roleId) && roleCatalog.isShown(roleId) && canAddRole(roleId, counts, required).ok;
+    const add = (roleId) => counts.set(roleId, (counts.get(roleId) || 0) + getRoleRule(roleId).step);
+
+    // Must-include roles first (roles with requirements last); a role that needs
+    // another one brings one of them along
+    const hasRequirements = (roleId) => getRoleRule(roleId).requires.length > 0;
+    const includes = [...include].sort((a, b) => hasRequirements(a) - hasRequirements(b));
+    includes.forEach(roleId => {
+        const { requires } = getRoleRule(roleId);
+        if (requires.length > 0 && !requires.some(id => counts.has(id))) {
+            const enablers = requires.filter(canAdd);
+            if (enablers.length === 0) {
+                throw new Error(t('ui.random.error.requires', { role: getRoleData(roleId)?.name || roleId, roles: formatRoleNames(requires, 'disjunction') }));
+            }
+            add(enablers[Math.floor(random() * enablers.length)]);
+        }
+        if (!canAdd(roleId)) {
+            throw new Error(t('ui.random.error.include', { role: getRoleData(roleId)?.name || roleId, count: required }));
+        }
+        add(roleId);
+    });
+
+    const targetWolfTeam = Math.max(1, Math.round(required * werewolfShare / 100));
+
+    while (total() < required) {
+        // Every game needs a wolf; after that, follow the team share
+        const hasWolf = WEREWOLF_CARD_IDS.some(id => counts.has(id));
+        const wantWerewolfTeam = !hasWolf || countTeam(werewolfTeamIds) < targetWolfTeam;
+
+        const werewolfCandidates = werewolfTeamIds
+            .filter(id => hasWolf || WEREWOLF_CARD_IDS.includes(id))
+            .filter(canAdd);
+        const villagerCandidates = roleCatalog.getShown()
+            .filter(r => r.team !== 'werewolf')
+            .map(r => r.id)
+            .filter(canAdd);
+
+        let candidates = wantWerewolfTeam ? werewolfCandidates : villagerCandidates;
+        if (candidates.length === 0) {
+            candidates = wantWerewolfTeam ? villagerCandidates : werewolfCandidates;
+        }
+        if (candidates.length === 0) {
+            throw new Error(t('ui.random.error.notEnough'));
+        }
+        add(candidates[Math.floor(random() * candidates.length)]);
+    }
+
+    return counts;
+}
+
+/**
+ * Build the Randomize panel shown under the setup picker
+ * @returns {HTMLElement}
+ */
+function createRandomizePanel() {
+    const panel = document.createElement('div');
+    panel.className = 'randomize-panel';
+    panel.hidden = true;
+
+    // Per role: '' (may appear), 'include' or 'exclude'
+    const constraints = {};
+
+    panel.innerHTML = `
+        <div class="randomize-options">
+            <label>${t('ui.random.share')}
+                <input type="number" id="random-share" min="10" max="60" step="5" value="${DEFAULT_WEREWOLF_SHARE}">
+            </label>
+            <label>${t('ui.random.seed')}
+                <input type="text" id="random-seed" placeholder="${escapeHtml(t('ui.random.seedPlaceholder'))}" maxlength="20">
+            </label>
+            <button id="random-generate" class="btn btn-small">${t('ui.random.generate')}</button>
+        </div>
+        <p class="randomize-hint">${t('ui.random.hint')}</p>
+        <div class="randomize-roles">
+            ${roleCatalog.getShown().map(r =>
+                `<button class="random-role" data-role-id="${r.id}">${escapeHtml(r.name)}</button>`
+            ).join('')}
+        </div>
+        <p id="random-error" class="error" hidden></p>
+    `;
+
+    panel.querySelectorAll('.random-role').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const roleId = btn.dataset.roleId;
+            const next = { '': 'include', include: 'exclude', exclude: '' }[constraints[roleId] || ''];
+            constraints[roleId] = next;
+            btn.dataset.state = next;
+        });
+    });
+
+    panel.querySelector('#random-generate').addEventListener('click', () => {
+        const seedInput = panel.querySelector('#random-seed');
+        const errorEl = panel.querySelector('#random-error');
+        if (!seedInput.value.trim()) seedInput.value = createRandomSeed();
+
+        const roleIds = Object.keys(constraints);
+        try {
+            const counts = generateRandomSetup(getRequiredCards(), {
+                seed: seedInput.value.trim(),
+                werewolfShare: parseInt(panel.querySelector('#random-share').value, 10) || DEFAULT_WEREWOLF_SHARE,
+                include: roleIds.filter(id => constraints[id] === 'include'),
+                exclude: roleIds.filter(id => constraints[id] === 'exclude')
+            });
+            errorEl.hidden = true;
+            applySetup({ players: getSelectedPlayerCount(), roles: Object.fromEntries(counts) });
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.hidden = false;
+        }
+    });
+
+    return panel;
+}
+
+/**
+ * Build the setup picker shown above the role grid
+ * @returns {HTMLElement}
+ */
+function createSetupControls() {
+    const box = document.createElement('div');
+    box.className = 'setup-controls';
+
+    const render = () => {
+        const saved = getSavedSetups();
+        box.innerHTML = `
+            <label>${t('ui.setup.label')}
+                <select id="setup-select">
+                    <option value="">${t('ui.setup.choose')}</option>
+                    <optgroup label="${escapeHtml(t('ui.setup.recommended'))}">
+                        ${BUILT_IN_SETUPS.map(setup => `<option value="builtin:${setup.id}">${t(setup.nameKey, { count: setup.players })}</option>`).join('')}
+                    </optgroup>
+                    ${saved.length > 0 ? `
+                    <optgroup label="${escapeHtml(t('ui.setup.mine'))}">
+                        ${saved.map((setup, i) => `<option value="saved:${i}">${escapeHtml(t('ui.setup.savedName', { name: setup.name, count: setup.players }))}</option>`).join('')}
+                    </optgroup>` : ''}
+                </select>
+            </label>
+            <button id="setup-load" class="btn btn-small" disabled>${t('ui.setup.load')}</button>
+            <button id="setup-delete" class="btn btn-small" disabled>${t('ui.setup.delete')}</button>
+            <input type="text" id="setup-name" placeholder="${escapeHtml(t('ui.setup.namePlaceholder'))}" maxlength="40">
+            <button id="setup-save" class="btn btn-small" disabled>${t('ui.setup.save')}</button>
+            <button id="setup-share" class="btn btn-small">${t('ui.setup.share')}</button>
+            <div id="share-panel" class="share-panel" hidden></div>
+        `;
+
+        const select = box.querySelector('#setup-select');
+        const loadBtn = box.querySelector('#setup-load');
+        const deleteBtn = box.querySelector('#setup-delete');
+        const nameInput = box.querySelector('#setup-name');
+        const saveBtn = box.querySelector('#setup-save');
+
+        const findSetup = (value) => {
+            const [kind, key] = value.split(':');
+            if (kind === 'builtin') return BUILT_IN_SETUPS.find(setup => setup.id === key);
+            if (kind === 'saved') return saved[parseInt(key, 10)];
+            return null;
+        };
+
+        select.addEventListener('change', () => {
+            loadBtn.disabled = !select.value;
+            deleteBtn.disabled = !select.value.startsWith('saved:');
+        });
+        loadBtn.addEventListener('click', () => {
+            const setup = findSetup(select.value);
+            if (setup) applySetup(setup);
+        });
+        deleteBtn.addEventListener('click', () => {
+            const setup = findSetup(select.value);
+            if (!setup) return;
+            deleteSetup(setup.name);
+            render();
+        });
+        nameInput.addEventListener('input', () => {
+            saveBtn.disabled = nameInput.value.trim() === '';
+        });
+        saveBtn.addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name) return;
+            saveSetup(name);
+            render();
+        });
+        box.querySelector('#setup-share').addEventListener('click', () => {
+            const panel = box.querySelector('#share-panel');
+            panel.hidden = !panel.hidden;
+            if (!panel.hidden) renderSharePanel(panel);
+        });
+    };
+
+    render();
+    return box;
+}
+
+/**
+ * Build the expansion toggles shown above the role grid. Hiding an expansion
+ * also removes its roles from the selection.
+ * @returns {HTMLElement}
+ */
+function createExpansionFilters() {
+    const box = document.createElement('div');
+    box.className = 'expansion-filters';
+    box.innerHTML = `
+        <span>${t('ui.setup.expansions')}</span>
+        ${roleCatalog.getExpansions().map(expansion => `
+            <label><input type="checkbox" value="${expansion.id}" ${roleCatalog.isExpansionShown(expansion.id) ? 'checked' : ''}> ${t(`ui.expansion.${expansion.id}`)}</label>
+        `).join('')}
+    `;
+
+    box.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            roleCatalog.setExpansionShown(input.value, input.checked);
+            if (!input.checked) {
+                selectedRoles.forEach((count, roleId) => {
+                    if (!roleCatalog.isShown(roleId)) selectedRoles.delete(roleId);
+                });
+                dropRolesWithUnmetRequirements();
+            }
+            saveCurrentSelection();
+            renderContent('role-assignment');
+        });
+    });
+
+    return box;
+}
+
+/**
+ * Get the selection rule of a role, with defaults filled in
+ * @param {string} roleId
+ * @returns {{min: number, max: number, step: number, requires: string[], conflictsWith: string[], recommendedWith: string[]}}
+ */
+function getRoleRule(roleId) {
+    return { ...DEFAULT_ROLE_RULE, ...roleCatalog.get(roleId)?.rules };
+}
+
+/**
+ * Get the maximum allowed count for a role
+ * @param {string} roleId
+ * @returns {number}
+ */
+function getMaxRoleCount(roleId) {
+    return getRoleRule(roleId).max;
+}
+
+/**
+ * Get the minimum allowed count for a role
+ * @param {string} roleId
+ * @returns {number}
+ */
+function getMinRoleCount(roleId) {
+    return getRoleRule(roleId).min;
+}
+
+/**
+ * Join role names for messages: "Robber or Troublemaker"
+ * @param {string[]} roleIds
+ * @param {'conjunction'|'disjunction'} type - "and" or "or"
+ * @returns {string}
+ */
+function formatRoleNames(roleIds, type) {
+    return translationManager.formatList(roleIds.map(id => getRoleData(id)?.name || id), type);
+}
+
+/**
+ * Check whether `step` more cards of a role may be added to a selection
+ * @param {string} roleId
+ * @param {Map<string, number>} counts
+ * @param {number} required - Cards in the game (players + 3)
+ * @returns {{ok: boolean, reason?: string, full?: boolean}} full = only the card limit is in the way
+ */
+function canAddRole(roleId, counts, required) {
+    const rule = getRoleRule(roleId);
+    const name = getRoleData(roleId)?.name || roleId;
+    const count = counts.get(roleId) || 0;
+    const total = [...counts.values()].reduce((sum, c) => sum + c, 0);
+
+    if (rule.requires.length > 0 && !rule.requires.some(id => counts.has(id))) {
+        return { ok: false, reason: t('ui.setup.issue.requires', { name, roles: formatRoleNames(rule.requires, 'disjunction') }) };
+    }
+    const conflict = rule.conflictsWith.filter(id => counts.has(id));
+    if (conflict.length > 0) {
+        return { ok: false, reason: t('ui.setup.issue.conflicts', { name, roles: formatRoleNames(conflict, 'conjunction') }) };
+    }
+    if (count + rule.step > rule.max) {
+        return { ok: false, reason: t('ui.setup.issue.max', { name, count: rule.max }) };
+    }
+    if (total + rule.step > required) {
+        return { ok: false, full: true, reason: t('ui.setup.issue.full') };
+    }
+    return { ok: true };
+}
+
+/**
+ * Explain what is wrong with a selection
+ * @param {Map<string, number>} counts
+ * @param {number} required - Cards in the game (players + 3)
+ * @returns {Array<{severity: 'error'|'warning'|'info', message: string}>}
+ */
+function validateSetup(counts, required) {
+    const issues = [];
+
+    counts.forEach((count, roleId) => {
+        const rule = getRoleRule(roleId);
+        const name = getRoleData(roleId)?.name || roleId;
+        if (count > rule.max || count < rule.min) {
+            issues.push({ severity: 'error', message: t('ui.setup.issue.count', { name, count, min: rule.min, max: rule.max }) });
+        } else if (count % rule.step !== 0) {
+            issues.push({ severity: 'error', message: t('ui.setup.issue.step', { name, step: rule.step }) });
+        }
+        if (rule.requires.length > 0 && !rule.requires.some(id => counts.has(id))) {
+            issues.push({ severity: 'error', message: t('ui.setup.issue.requires', { name, roles: formatRoleNames(rule.requires, 'disjunction') }) });
+        }
+        const conflict = rule.conflictsWith.filter(id => counts.has(id));
+        if (conflict.length > 0) {
+            issues.push({ severity: 'error', message: t('ui.setup.issue.conflicts', { name, roles: formatRoleNames(conflict, 'conjunction') }) });
+        }
+        if (rule.recommendedWith.length > 0 && !rule.recommendedWith.some(id => counts.has(id))) {
+            issues.push({ severity: 'warning', message: t('ui.setup.issue.recommended', { name, roles: formatRoleNames(rule.recommendedWith, 'disjunction') }) });
+        }
+    });
+
+    if (counts.size > 0) {
+        SETUP_RULES.forEach(rule => {
+            const message = rule.check(counts, required);
+            if (message) issues.push({ severity: rule.severity, message });
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Remove selected roles whose requirements are no longer met (e.g. the Insomniac
+ * after the Robber and Troublemaker were removed)
+ */
+function dropRolesWithUnmetRequirements() {
+    let changed = true;
+    while (changed) {
+        changed = false;
+        selectedRoles.forEach((count, roleId) => {
+            const { requires } = getRoleRule(roleId);
+            if (requires.length > 0 && !requires.some(id => selectedRoles.has(id))) {
+                selectedRoles.delete(roleId);
+                changed = true;
+            }
+        });
+    }
+}
+
+/**
+ * Get total count of selected roles
+ * @returns {number}
+ */
+function getTotalRoleCount() {
+    let total = 0;
+    selectedRoles.forEach(count => { total += count; });
+    return total;
+}
+
+function toggleRole(role, increment = true) {
+    const currentCount = selectedRoles.get(role.id) || 0;
+    const rule = getRoleRule(role.id);
+    let newCount;
+
+    if (increment) {
+        // Left click: single-card roles toggle; others add `step` cards up to max
+        // (a full Mason pair is not removed by left-click; use right-click)
+        if (rule.max === rule.step && currentCount > 0) {
+            if (rule.step > 1) return;
+            newCount = 0;
+        } else {
+            const check = canAddRole(role.id, selectedRoles, getRequiredCards());
+            if (!check.ok) {
+                // Clicking a maxed-out multi-card role is a no-op, like before
+                if (!check.full && currentCount >= rule.max) return;
+                flashSelectionLimit(check.reason);
+                return;
+            }
+            newCount = currentCount + rule.step;
+        }
+    } else {
+        // Right click: remove `step` cards
+        if (currentCount <= 0) return;
+        newCount = Math.max(rule.min, currentCount - rule.step);
+    }
+
+    // Update role count
+    if (newCount > 0) {
+        selectedRoles.set(role.id, newCount);
+    } else {
+        selectedRoles.delete(role.id);
+        dropRolesWithUnmetRequirements();
+    }
+    
+    saveCurrentSelection();
+    updateRoleGridSelection();
+    updateSelectedPanel();
+    updateCountsDisplay();
+}
+
+function flashSelectionLimit(reason = '') {
+    const el = document.querySelector('.selection-limit-flash');
+    if (!el) return;
+    el.textContent = reason;
+    el.classList.add('flash');
+    setTimeout(() => {
+        el.classList.remove('flash');
+        el.textContent = '';
+    }, 2400);
+}
+
+function getRequiredCards() {
+    return selectedPlayerCount + 3;
+}
+
+function updateCountsDisplay() {
+    const selCountEl = document.getElementById('selected-count');
+    const reqCountEl = document.getElementById('required-count');
+    const totalCount = getTotalRoleCount();
+    const required = getRequiredCards();
+    
+    if (selCountEl) selCountEl.textContent = totalCount;
+    if (reqCountEl) reqCountEl.textContent = required;
+
+    const issues = validateSetup(selectedRoles, required);
+    updateSetupWarnings(issues);
+
+    const startGameBtn = document.getElementById('start-game');
+    if (startGameBtn) {
+        const hasErrors = issues.some(issue => issue.severity === 'error');
+        startGameBtn.disabled = !(required > 0 && totalCount === required) || hasErrors;
+    }
+}
+
+/**
+ * Show why the current selection is invalid or unbalanced
+ * @param {Array<{severity: string, message: string}>} issues - From validateSetup()
+ */
+function updateSetupWarnings(issues) {
+    const box = document.getElementById('setup-warnings');
+    if (!box) return;
+    box.hidden = issues.length === 0;
+    box.innerHTML = issues.map(issue =>
+        `<div class="setup-issue setup-issue-${issue.severity}">${escapeHtml(issue.message)}</div>`
+    ).join('');
+}
+
+function updateRoleGridSelection() {
+    document.querySelectorAll('.role-card').forEach(card => {
+        const id = card.dataset.roleId;
+        const count = selectedRoles.get(id) || 0;
+        
+        // Update selection state
+        if (count > 0) {
+            card.classList.add('selected');
+            // Show count for roles that can have multiple instances
+            const maxCount = getMaxRoleCount(id);
+            if (maxCount > 1) {
+                const countLabel = card.querySelector('.role-count');
+                if (countLabel) {
+                    countLabel.textContent = count;
+                } else {
+                    const label = document.createElement('span');
+                    label.className = 'role-count';
+                    label.textContent = count;
+                    card.appendChild(label);
+                }
+            }
+        } else {
+            card.classList.remove('selected');
+            const countLabel = card.querySelector('.role-count');
+            if (countLabel) countLabel.remove();
+        }
+        
+        // Disable roles whose requirements or conflicts rule them out
+        const { requires, conflictsWith } = getRoleRule(id);
+        const blocked = count === 0 && (
+            (requires.length > 0 && !requires.some(r => selectedRoles.has(r))) ||
+            conflictsWith.some(r => selectedRoles.has(r))
+        );
+        if (blocked) {
+            card.classList.add('disabled');
+            card.style.pointerEvents = 'none';
+            card.style.opacity = '0.5';
+            card.title = canAddRole(id, selectedRoles, Infinity).reason || '';
+        } else {
+            card.classList.remove('disabled');
+            card.style.pointerEvents = 'auto';
+            card.style.opacity = '1';
+            card.title = '';
+        }
+    });
+}
+
+function updateSelectedPanel() {
+    const panel = document.getElementById('selected-panel-list');
+    if (!panel) return;
+    panel.innerHTML = '';
+    
+    selectedRoles.forEach((count, roleId) => {
+        const roleData = getRoleData(roleId);
+        if (!roleData) return;
+        
+        for (let i = 0; i < count; i++) {
+            const item = document.createElement('div');
+            item.className = 'selected-item';
+            item.innerHTML = `<span class="avatar-small"><img src="${escapeHtml(roleData.img)}" alt="${escapeHtml(roleData.name)}"/></span><span class="name">${escapeHtml(roleData.name)}</span>`;
+            panel.appendChild(item);
+        }
+    });
+    
+    const clearBtn = document.getElementById('clear-selection');
+    if (clearBtn) clearBtn.disabled = getTotalRoleCount() === 0;
+}
+
+/**
+ * Expand selected role counts into one entry per card (e.g. two werewolves)
+ * @returns {Array<string>} Role ids
+ */
+function getSelectedDeck() {
+    const deck = [];
+    selectedRoles.forEach((count, roleId) => {
+        for (let i = 0; i < count; i++) deck.push(roleId);
+    });
+    return deck;
+}
+
+/**
+ * Look up display data (name, image) for a role id
+ * @param {string} roleId
+ * @returns {{id: string, name: string, img: string}|undefined} Role catalog entry
+ */
+function getRoleData(roleId) {
+    return roleCatalog.get(roleId);
+}
+
+/**
+ * Convert selected roles to Role instances and initialize workflow
+ * @returns {Array<Role>}
+ */
+function getSelectedRoleInstances() {
+    const roleInstances = [];
+    selectedRoles.forEach((count, roleId) => {
+        if (!count || count <= 0) return;
+        const role = RoleFactory.createRole(roleId);
+        if (role) roleInstances.push(role);
+    });
+    return roleInstances;
+}
+
+/**
+ * Update UI to reflect current workflow state
+ */
+function updateWorkflowUI() {
+    const roles = workflowManager.roles;
+    const currentIndex = workflowManager.currentIndex;
+
+    // Update node states
+    document.querySelectorAll('.wakeup-node').forEach((node, idx) => {
+        node.classList.remove('active', 'completed');
+        if (idx < currentIndex) {
+            node.classList.add('completed');
+        } else if (idx === currentIndex) {
+            node.classList.add('active');
+        }
+    });
+
+    // Update arrows
+    document.querySelectorAll('.wakeup-arrows line').forEach((line, idx) => {
+        line.classList.remove('completed');
+        if (idx < currentIndex) {
+            line.classList.add('completed');
+        }
+    });
+
+    // Update timer display
+    document.querySelectorAll('.wakeup-node .timer').forEach(el => (el.textContent = ''));
+    const activeTimer = document.querySelector(`.wakeup-node[data-index="${currentIndex}"] .timer`);
+    if (activeTimer && workflowManager.remainingTime > 0) {
+        activeTimer.textContent = t('ui.common.seconds', { count: workflowManager.remainingTime });
+    }
+
+    // Show the night action of the role that is awake
+    const started = workflowManager.isRunning || workflowManager.isPaused;
+    const actionIndex = started && !workflowManager.isComplete() ? currentIndex : -1;
+    if (actionIndex !== renderedNightActionIndex) {
+        renderedNightActionIndex = actionIndex;
+        renderNightActionPanel(actionIndex >= 0 ? workflowManager.getCurrentRole() : null);
+        sendNightPromptToRoom(actionIndex >= 0 ? workflowManager.getCurrentRole() : null);
+    }
+
+    // Update button text
+    const btn = document.getElementById('wakeup-start');
+    if (btn) {
+        if (workflowManager.isComplete()) {
+            btn.textContent = t('ui.night.complete');
+            btn.disabled = true;
+        } else {
+            btn.textContent = workflowManager.isRunning ? t('ui.night.pause') : t('ui.night.start');
+            btn.disabled = false;
+        }
+    }
+
+    // Skip controls wait while one role hands over to the next
+    const busy = workflowManager.isTransitioning;
+    const prevBtn = document.getElementById('wakeup-prev');
+    if (prevBtn) prevBtn.disabled = busy || currentIndex <= 0;
+    const nextBtn = document.getElementById('wakeup-next');
+    if (nextBtn) nextBtn.disabled = busy || workflowManager.isComplete();
+    const extendBtn = document.getElementById('wakeup-extend');
+    if (extendBtn) extendBtn.disabled = busy || !started || workflowManager.isComplete();
+
+    const dayBtn = document.getElementById('wakeup-day');
+    if (dayBtn) dayBtn.hidden = !workflowManager.isComplete();
+    const revealBtn = document.getElementById('wakeup-reveal');
+    if (revealBtn) revealBtn.hidden = !workflowManager.isComplete();
+}
+
+/**
+ * Start UI update loop
+ */
+function startUIUpdateLoop() {
+    // Already running (the night controls call this again after each click)
+    if (workflowManager._uiUpdateInterval) return;
+
+    // Update UI every 100ms for smooth display
+    const updateInterval = setInterval(() => {
+        if (workflowManager.isRunning || workflowManager.isPaused) {
+            updateWorkflowUI();
+        } else if (workflowManager.isComplete()) {
+            updateWorkflowUI();
+            clearInterval(updateInterval);
+            workflowManager._uiUpdateInterval = null;
+        }
+    }, 100);
+
+    // Store interval ID for cleanup
+    workflowManager._uiUpdateInterval = updateInterval;
+}
+
+function layoutWakeupNodesAndDrawArrows() {
+    const nodesContainer = document.getElementById('wakeup-nodes');
+    const svg = document.getElementById('wakeup-arrows');
+    const workflow = document.getElementById('wakeup-workflow');
+    if (!nodesContainer || !svg || !workflow) return;
+
+    const nodes = Array.from(nodesContainer.querySelectorAll('.wakeup-node'));
+    if (nodes.length === 0) return;
+
+    // Compute columns based on available width.
+    const containerWidth = nodesContainer.clientWidth;
+    const nodeMin = 130; // matches CSS min width.
+    const gap = 26;
+    const cols = Math.max(2, Math.floor((containerWidth + gap) / (nodeMin + gap)));
+    nodesContainer.style.gridTemplateColumns = `repeat(${cols}, minmax(${nodeMin}px, 1fr))`;
+
+    // Place nodes in zig-zag order.
+    nodes.forEach((node, idx) => {
+        const row = Math.floor(idx / cols);
+        const colInRow = idx % cols;
+        const col = (row % 2 === 0) ? (colInRow + 1) : (cols - colInRow);
+        node.style.gridRowStart = (row + 1);
+        node.style.gridColumnStart = col;
+    });
+
+    // Resize SVG to workflow container.
+    svg.setAttribute('width', `${workflow.clientWidth}`);
+    svg.setAttribute('height', `${workflow.clientHeight}`);
+    svg.setAttribute('viewBox', `0 0 ${workflow.clientWidth} ${workflow.clientHeight}`);
+
+    // Clear existing lines.
+    svg.querySelectorAll('line[data-from]').forEach(l => l.remove());
+
+    const wfRect = workflow.getBoundingClientRect();
+    const centers = nodes.map(n => {
+        const r = n.getBoundingClientRect();
+        return {
+            x: (r.left - wfRect.left) + r.width / 2,
+            y: (r.top - wfRect.top) + r.height / 2
+        };
+    });
+
+    for (let i = 0; i < centers.length - 1; i++) {
+        const a = centers[i];
+        const b = centers[i + 1];
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', a.x);
+        line.setAttribute('y1', a.y);
+        line.setAttribute('x2', b.x);
+        line.setAttribute('y2', b.y);
+        line.setAttribute('marker-end', 'url(#arrowhead)');
+        line.dataset.from = String(i);
+        svg.appendChild(line);
+    }
+}
+
+// Index of the workflow step whose night action panel is shown (-1 = none)
+let renderedNightActionIndex = -1;
+
+/**
+ * Show the night action of the role that is awake so the acting player can perform it on-screen
+ * @param {Role|null} role
+ */
+function renderNightActionPanel(role) {
+    const panel = document.getElementById('night-action');
+    if (!panel) return;
+    panel.innerHTML = '';
+
+    if (!role || !cardTable.isDealt()) {
+        panel.hidden = true;
+        return;
+    }
+    panel.hidden = false;
+
+    const actors = role.getActorSeats(cardTable);
+    const header = document.createElement('h3');
+    header.textContent = actors.length > 0 ? `${formatSeats(actors)} — ${role.name}` : role.name;
+    panel.appendChild(header);
+
+    if (actors.length === 0) {
+        const idle = document.createElement('p');
+        idle.className = 'night-action-prompt';
+        idle.textContent = t('ui.night.nobody');
+        panel.appendChild(idle);
+        return;
+    }
+
+    // Woken again (Previous or a jump back): acting twice would corrupt the table,
+    // so show what the role did with the cards as they were then
+    const earlier = workflowManager.getEarlierActions(workflowManager.currentIndex);
+    if (earlier.length > 0) {
+        const note = document.createElement('p');
+        note.className = 'night-action-prompt';
+        note.textContent = t('ui.night.alreadyActed');
+        panel.appendChild(note);
+        earlier.forEach(action => renderNightActionResult(panel, action, action.cardsAfter));
+        return;
+    }
+
+    const ctx = { table: cardTable, seat: actors[0], actors };
+    renderNightActionStep(panel, ctx, role.getNightActions(ctx));
+}
+
+/**
+ * Render the first pending step, run it on confirm and continue with its follow-ups
+ * @param {HTMLElement} panel
+ * @param {{table: CardTable, seat: number, actors: Array<number>}} ctx
+ * @param {Array<Object>} steps
+ */
+function renderNightActionStep(panel, ctx, steps) {
+    const [step, ...rest] = steps;
+    const container = document.createElement('div');
+    container.className = 'night-action-step';
+    panel.appendChild(container);
+
+    if (!step) {
+        container.innerHTML = `<p class="night-action-prompt">${t('ui.night.done')}</p>`;
+        const hideBtn = document.createElement('button');
+        hideBtn.className = 'btn btn-small';
+        hideBtn.textContent = t('ui.night.hide');
+        hideBtn.addEventListener('click', () => {
+            panel.querySelectorAll('.night-action-result').forEach(el => el.remove());
+            hideBtn.remove();
+        });
+        container.appendChild(hideBtn);
+        return;
+    }
+
+    const prompt = document.createElement('p');
+    prompt.className = 'night-action-prompt';
+    prompt.textContent = step.prompt;
+    container.appendChild(prompt);
+
+    const finish = (picks) => {
+        container.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+        const result = picks ? (step.run(picks) || {}) : {};
+        workflowManager.recordAction({
+            seats: ctx.actors,
+            prompt: step.prompt,
+            picks,
+            seen: result.seen || [],
+            message: result.message || '',
+            skipped: !picks,
+            cardsAfter: ctx.table.snapshot()
+        });
+        renderNightActionResult(container, result);
+        renderNightActionStep(panel, ctx, [...(result.next || []), ...rest]);
+    };
+
+    const actions = document.createElement('div');
+    actions.className = 'night-action-buttons';
+
+    if (step.choices) {
+        step.choices.forEach(choice => {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-small';
+            btn.textContent = choice.label;
+            btn.addEventListener('click', () => finish([choice.value]));
+            actions.appendChild(btn);
+        });
+    } else if (!step.players && !step.center) {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-small';
+        btn.textContent = t('ui.night.show');
+        btn.addEventListener('click', () => finish([]));
+        actions.appendChild(btn);
+    } else {
+        const picks = { player: [], center: [] };
+        const grid = document.createElement('div');
+        grid.className = 'night-action-slots';
+        const confirmBtn = document.createElement('button');
+        confirmBtn.className = 'btn btn-small';
+        confirmBtn.textContent = t('ui.night.confirm');
+        confirmBtn.disabled = true;
+
+        const isComplete = () => {
+            const playersDone = picks.player.length === (step.players || 0);
+            const centerDone = picks.center.length === (step.center || 0);
+            if (step.either) {
+                return (picks.player.length === step.players && picks.center.length === 0)
+                    || (picks.center.length === step.center && picks.player.length === 0);
+            }
+            return playersDone && centerDone;
+        };
+
+        const addSlot = (slot, area, limit) => {
+            const btn = document.createElement('button');
+            btn.className = 'night-action-slot';
+            btn.textContent = CardTable.describeSlot(slot);
+            btn.dataset.slot = slot;
+            btn.addEventListener('click', () => {
+                const list = picks[area];
+                const existing = list.indexOf(slot);
+                if (existing >= 0) {
+                    list.splice(existing, 1);
+                } else {
+                    // Seer-style steps: picking from one area clears the other
+                    if (step.either) picks[area === 'player' ? 'center' : 'player'] = [];
+                    if (list.length >= limit) list.shift();
+                    list.push(slot);
+                }
+                grid.querySelectorAll('.night-action-slot').forEach(el => {
+                    el.classList.toggle('selected', picks.player.includes(el.dataset.slot) || picks.center.includes(el.dataset.slot));
+                });
+                confirmBtn.disabled = !isComplete();
+            });
+            grid.appendChild(btn);
+        };
+
+        if (step.players) {
+            ctx.table.players.forEach((_, seat) => {
+                const slot = CardTable.playerSlot(seat);
+                if (seat === ctx.seat && !step.includeSelf) return;
+                if (step.excludeSeats && step.excludeSeats.includes(seat)) return;
+                if (ctx.table.isShielded(slot)) return;
+                addSlot(slot, 'player', step.players);
+            });
+        }
+        if (step.center) {
+            // The Alpha Wolf's extra Werewolf card lies sideways; it is not a center card
+            const wolfSlot = ctx.table.getCenterWolfSlot();
+            ctx.table.center.forEach((_, index) => {
+                const slot = CardTable.centerSlot(index);
+                if (slot !== wolfSlot) addSlot(slot, 'center', step.center);
+            });
+        }
+
+        confirmBtn.addEventListener('click', () => {
+            if (!isComplete()) return;
+            finish([...picks.player, ...picks.center]);
+        });
+        container.appendChild(grid);
+        actions.appendChild(confirmBtn);
+    }
+
+    if (step.optional) {
+        const skipBtn = document.createElement('button');
+        skipBtn.className = 'btn btn-small';
+        skipBtn.textContent = t('ui.night.skip');
+        skipBtn.addEventListener('click', () => finish(null));
+        actions.appendChild(skipBtn);
+    }
+
+    container.appendChild(actions);
+}
+
+/**
+ * Show what the acting player learned from a step
+ * @param {HTMLElement} container
+ * @param {{seen?: Array<string>, message?: string}} result
+ * @param {{players: Array<string>, center: Array<string>}|null} [layout] - Cards to show
+ *   instead of the current table, e.g. a snapshot from the night log
+ */
+function renderNightActionResult(container, result, layout = null) {
+    const seen = result.seen || [];
+    if (seen.length === 0 && !result.message) return;
+
+    const cardIn = (slot) => {
+        if (!layout) return cardTable.getCard(slot);
+        const { area, index } = CardTable.parseSlot(slot);
+        return (area === 'player' ? layout.players : layout.center)[index] || null;
+    };
+
+    const box = document.createElement('div');
+    box.className = 'night-action-result';
+    seen.forEach(slot => {
+        const roleData = getRoleData(cardIn(slot));
+        if (!roleData) return;
+        const card = document.createElement('div');
+        card.className = 'night-action-card';
+        card.innerHTML = `<img src="${escapeHtml(roleData.img)}" alt="${escapeHtml(roleData.name)}"/><span>${t('ui.night.seenCard', { slot: CardTable.describeSlot(slot), name: escapeHtml(roleData.name) })}</span>`;
+        box.appendChild(card);
+    });
+    if (result.message) {
+        const message = document.createElement('p');
+        message.textContent = result.message;
+        box.appendChild(message);
+    }
+    container.appendChild(box);
+}
+
+/**
+ * Deal step: shuffle the selected roles and let each player peek at their card
+ * on a pass-the-phone screen before the night starts.
+ */
+function renderDealView() {
+    const main = document.getElementById('main-pane');
+    if (!main) return;
+
+    const numPlayers = getSelectedPlayerCount();
+    const seen = new Set();
+    cardTable.deal(getSelectedDeck(), numPlayers);
+    sendCardsToRoom();
+
+    main.innerHTML = '';
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'deal-page';
+    wrapper.innerHTML = `
+        <h2>${t('ui.deal.title')}</h2>
+        <p class="deal-hint">${t('ui.deal.hint')}</p>
+        <div id="deal-seats" class="deal-seats"></div>
+        <div class="deal-actions">
+            <button id="deal-start-night" class="btn">${t('ui.deal.startNight')}</button>
+            <button id="deal-reshuffle" class="btn">${t('ui.deal.reshuffle')}</button>
+            <button id="deal-skip" class="btn">${t('ui.deal.physical')}</button>
+        </div>
+        <div id="deal-reveal" class="deal-reveal" hidden></div>
+    `;
+    main.appendChild(wrapper);
+
+    const seatsContainer = document.getElementById('deal-seats');
+    const reveal = document.getElementById('deal-reveal');
+
+    const renderSeats = () => {
+        seatsContainer.innerHTML = '';
+        for (let seat = 0; seat < numPlayers; seat++) {
+            const btn = document.createElement('button');
+            btn.className = seen.has(seat) ? 'deal-seat seen' : 'deal-seat';
+            btn.textContent = t('ui.seat.player', { n: seat + 1 });
+            btn.addEventListener('click', () => showPassScreen(seat));
+            seatsContainer.appendChild(btn);
+        }
+    };
+
+    // Step 1: hand the device over without showing anything
+    const showPassScreen = (seat) => {
+        reveal.hidden = false;
+        reveal.innerHTML = `
+            <div class="deal-reveal-inner">
+                <p>${t('ui.deal.passTo', { player: `<strong>${t('ui.seat.player', { n: seat + 1 })}</strong>` })}</p>
+                <button class="btn" id="deal-peek">${t('ui.deal.peek')}</button>
+                <button class="btn" id="deal-cancel">${t('ui.common.cancel')}</button>
+            </div>
+        `;
+        document.getElementById('deal-peek').addEventListener('click', () => showCard(seat));
+        document.getElementById('deal-cancel').addEventListener('click', hideReveal);
+    };
+
+    // Step 2: show the card until the player hides it again
+    const showCard = (seat) => {
+        const roleData = getRoleData(cardTable.getPlayerCard(seat));
+        if (!roleData) return;
+        reveal.innerHTML = `
+            <div class="deal-reveal-inner">
+                <p>${t('ui.deal.youAre', { player: t('ui.seat.player', { n: seat + 1 }) })}</p>
+                <div class="avatar"><img src="${escapeHtml(roleData.img)}" alt="${escapeHtml(roleData.name)}"/></div>
+                <div class="role-name">${escapeHtml(roleData.name)}</div>
+                <button class="btn" id="deal-hide">${t('ui.deal.hideCard')}</button>
+            </div>
+        `;
+        document.getElementById('deal-hide').addEventListener('click', () => {
+            seen.add(seat);
+            hideReveal();
+        });
+    };
+
+    const hideReveal = () => {
+        reveal.hidden = true;
+        reveal.innerHTML = '';
+        renderSeats();
+    };
+
+    document.getElementById('deal-start-night').addEventListener('click', () => {
+        renderWakeupOrderView();
+    });
+    document.getElementById('deal-reshuffle').addEventListener('click', () => {
+        cardTable.deal(getSelectedDeck(), numPlayers);
+        sendCardsToRoom();
+        seen.clear();
+        renderSeats();
+    });
+    document.getElementById('deal-skip').addEventListener('click', () => {
+        cardTable.clear();
+        renderWakeupOrderView();
+    });
+
+    renderSeats();
+}
+
+function renderWakeupOrderView() {
+    const main = document.getElementById('main-pane');
+    if (!main) return;
+
+    // Initialize workflow with selected roles
+    const roleInstances = getSelectedRoleInstances();
+    workflowManager.setRoles(roleInstances);
+    cardTable.resetNight();
+    renderedNightActionIndex = -1;
+
+    main.innerHTML = '';
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'wakeup-page';
+    wrapper.innerHTML = `
+        <h2>${t('ui.night.title')}</h2>
+        <div id="wakeup-workflow" class="wakeup-workflow">
+            <div id="wakeup-nodes" class="wakeup-nodes" aria-label="${escapeHtml(t('ui.night.workflow'))}"></div>
+            <svg id="wakeup-arrows" class="wakeup-arrows" aria-hidden="true">
+                <defs>
+                    <marker id="arrowhead" markerWidth="10" markerHeight="7" refX="10" refY="3.5" orient="auto">
+                        <polygon points="0 0, 10 3.5, 0 7" />
+                    </marker>
+                </defs>
+            </svg>
+        </div>
+        <div class="wakeup-actions">
+            <button id="wakeup-start" class="btn">${t('ui.night.start')}</button>
+            <button id="wakeup-prev" class="btn">${t('ui.night.previous')}</button>
+            <button id="wakeup-next" class="btn">${t('ui.night.next')}</button>
+            <button id="wakeup-extend" class="btn">${t('ui.night.extend', { seconds: 10 })}</button>
+            <button id="wakeup-restart" class="btn">${t('ui.night.restart')}</button>
+            <button id="wakeup-day" class="btn" hidden>${t('ui.night.startDay')}</button>
+            <button id="wakeup-reveal" class="btn" hidden>${t('ui.night.reveal')}</button>
+        </div>
+        <div class="wakeup-hint">${t('ui.night.hint')}</div>
+        <div id="night-action" class="night-action" hidden></div>
+    `;
+    main.appendChild(wrapper);
+
+    const nodesContainer = document.getElementById('wakeup-nodes');
+    if (!nodesContainer) return;
+
+    const nightRoles = workflowManager.roles;
+
+    if (nightRoles.length === 0) {
+        nodesContainer.innerHTML = `<div class="wakeup-empty">${t('ui.night.empty')}</div>`;
+        document.getElementById('wakeup-start').disabled = true;
+        document.getElementById('wakeup-restart').disabled = true;
+        ['wakeup-prev', 'wakeup-next', 'wakeup-extend'].forEach(id => {
+            document.getElementById(id).disabled = true;
+        });
+        const dayBtn = document.getElementById('wakeup-day');
+        dayBtn.hidden = false;
+        dayBtn.addEventListener('click', () => renderDayView());
+        return;
+    }
+
+    nightRoles.forEach((role, idx) => {
+        const node = document.createElement('div');
+        node.className = role.isSubPhase ? 'wakeup-node sub-phase' : 'wakeup-node';
+        node.dataset.index = String(idx);
+        node.innerHTML = `
+            <div class="avatar"><img src="${escapeHtml(role.img)}" alt="${escapeHtml(role.name)}"/></div>
+            <div class="name">${escapeHtml(role.name)}</div>
+            <div class="timer" aria-live="polite"></div>
+        `;
+        node.title = t('ui.night.jumpTo', { role: role.name });
+        attachRoleInfo(node, () => role);
+        node.addEventListener('click', () => {
+            refreshWorkflowUI(workflowManager.jumpTo(idx));
+        });
+        nodesContainer.appendChild(node);
+    });
+
+    // Initialize UI
+    updateWorkflowUI();
+
+    const startBtn = document.getElementById('wakeup-start');
+    const restartBtn = document.getElementById('wakeup-restart');
+    const dayBtn = document.getElementById('wakeup-day');
+
+    // Skipping and restarting can end or reopen the night, so keep the UI loop alive
+    const refreshWorkflowUI = (pending) => {
+        updateWorkflowUI();
+        startUIUpdateLoop();
+        if (pending) pending.then(() => updateWorkflowUI());
+    };
+    
+    startBtn.addEventListener('click', () => {
+        workflowManager.togglePause();
+        refreshWorkflowUI();
+    });
+
+    document.getElementById('wakeup-prev').addEventListener('click', () => {
+        refreshWorkflowUI(workflowManager.returnToPreviousRole());
+    });
+
+    document.getElementById('wakeup-next').addEventListener('click', () => {
+        refreshWorkflowUI(workflowManager.advanceToNextRole());
+    });
+
+    document.getElementById('wakeup-extend').addEventListener('click', () => {
+        workflowManager.extendCurrentRole(10);
+        updateWorkflowUI();
+    });
+    
+    dayBtn.addEventListener('click', () => {
+        renderDayView();
+    });
+
+    document.getElementById('wakeup-reveal').addEventListener('click', () => {
+        renderRevealView();
+    });
+
+    restartBtn.addEventListener('click', () => {
+        workflowManager.reset();
+        cardTable.resetNight();
+        refreshWorkflowUI();
+        layoutWakeupNodesAndDrawArrows();
+    });
+
+    // Start UI update loop
+    startUIUpdateLoop();
+
+    // Draw after layout
+    requestAnimationFrame(() => {
+        layoutWakeupNodesAndDrawArrows();
+    });
+
+    // Redraw on resize
+    const onResize = () => layoutWakeupNodesAndDrawArrows();
+    window.addEventListener('resize', onResize, { passive: true });
+
+    // Clean up on navigation
+    workflowManager._cleanup = () => {
+        window.removeEventListener('resize', onResize);
+        if (workflowManager._uiUpdateInterval) {
+            clearInterval(workflowManager._uiUpdateInterval);
+            workflowManager._uiUpdateInterval = null;
+        }
+        workflowManager.stop();
+    };
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatClock(seconds) {
+    const m = Math.floor(seconds / 60);
+    const sec = seconds % 60;
+    return `${m}:${String(sec).padStart(2, '0')}`;
+}
+
+// Display names of the winning teams returned by resolveVotes
+const TEAM_LABELS = {
+    village: 'ui.day.winner.village',
+    werewolf: 'ui.day.winner.werewolf',
+    vampire: 'ui.day.winner.vampire',
+    alien: 'ui.day.winner.alien',
+    villain: 'ui.day.winner.villain',
+    tanner: 'ui.day.winner.tanner',
+    'apprentice-tanner': 'ui.day.winner.apprenticeTanner'
+};
+
+/**
+ * Day phase: discussion countdown, voting and win resolution
+ */
+function renderDayView() {
+    const main = document.getElementById('main-pane');
+    if (!main) return;
+
+    if (workflowManager._cleanup) {
+        workflowManager._cleanup();
+        workflowManager._cleanup = null;
+    }
+    dayPhaseManager.reset();
+
+    // #num-players only exists on the Role Assignment page
+    const dealt = cardTable.isDealt();
+    const numPlayers = dealt ? cardTable.players.length : getSelectedPlayerCount();
+
+    main.innerHTML = '';
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'day-page';
+    wrapper.innerHTML = `
+        <h2>${t('ui.day.title')}</h2>
+        <section class="day-discussion">
+            <label>${t('ui.day.duration')}
+                <select id="day-duration" aria-label="${escapeHtml(t('ui.day.durationLabel'))}">
+                    ${DISCUSSION_DURATIONS.map(sec =>
+                        `<option value="${sec}" ${sec === dayPhaseManager.discussionSeconds ? 'selected' : ''}>${t('ui.day.minutes', { count: sec / 60 })}</option>`
+                    ).join('')}
+                </select>
+            </label>
+            <div id="day-clock" class="day-clock" aria-live="polite">${formatClock(dayPhaseManager.remainingTime)}</div>
+            <div class="day-actions">
+                <button id="day-start" class="btn">${t('ui.night.start')}</button>
+                <button id="day-reset" class="btn">${t('ui.day.reset')}</button>
+                <button id="day-vote" class="btn">${t('ui.day.voteNow')}</button>
+            </div>
+        </section>
+        <section id="day-voting" class="day-voting" hidden></section>
+        <section id="day-result" class="day-result" hidden></section>
+    `;
+    main.appendChild(wrapper);
+
+    const clock = document.getElementById('day-clock');
+    const startBtn = document.getElementById('day-start');
+    const voting = document.getElementById('day-voting');
+    const result = document.getElementById('day-result');
 
-    // Store interval ID for cleanup
-    workflowManager._uiUpdateInterval = updateInterval;
-}
+    const updateClock = () => {
+        clock.textContent = formatClock(dayPhaseManager.remainingTime);
+        clock.classList.toggle('warning', dayPhaseManager.remainingTime <= DISCUSSION_WARNING_SECONDS);
+        startBtn.textContent = dayPhaseManager.isRunning ? t('ui.night.pause') : t('ui.night.start');
+    };
+    const clockInterval = setInterval(updateClock, 250);
+
+    const showVoting = () => {
+        voting.hidden = false;
+        voting.innerHTML = `<h3>${t('ui.day.voting')}</h3><p>${t('ui.day.votingHint')}</p>`;
+
+        const seatOptions = (selected) => Array.from({ length: numPlayers }, (_, seat) =>
+            `<option value="${seat}" ${seat === selected ? 'selected' : ''}>${t('ui.seat.player', { n: seat + 1 })}</option>`
+        ).join('');
+        const roleOptions = roleCatalog.getAll()
+            .filter(r => selectedRoles.has(r.id))
+            .map(r => `<option value="${r.id}">${escapeHtml(r.name)}</option>`)
+            .join('');
+
+        const table = document.createElement('table');
+        table.className = 'day-vote-table';
+        table.innerHTML = `<thead><tr><th>${t('ui.day.player')}</th>${dealt ? '' : `<th>${t('ui.day.revealedCard')}</th>`}<th>${t('ui.day.votesFor')}</th></tr></thead>`;
+        const tbody = document.createElement('tbody');
+        for (let seat = 0; seat < numPlayers; seat++) {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${t('ui.seat.player', { n: seat + 1 })}</td>
+                ${dealt ? '' : `<td><select class="day-card" data-seat="${seat}">${roleOptions}</select></td>`}
+                <td><select class="day-target" data-seat="${seat}">${seatOptions((seat + 1) % numPlayers)}</select></td>
+            `;
+            tbody.appendChild(row);
+        }
+        table.appendChild(tbody);
+        voting.appendChild(table);
 
-function layoutWakeupNodesAndDrawArrows() {
-    const nodesContainer = document.getElementById('wakeup-nodes');
-    const svg = document.getElementById('wakeup-arrows');
-    const workflow = document.getElementById('wakeup-workflow');
-    if (!nodesContainer || !svg || !workflow) return;
+        // Players in a room vote from their phones
+        requestVotesFromRoom(numPlayers, (seat, target) => {
+            const select = voting.querySelector(`.day-target[data-seat="${seat}"]`);
+            if (select) select.value = String(target);
+        });
 
-    const nodes = Array.from(nodesContainer.querySelectorAll('.wakeup-node'));
-    if (nodes.length === 0) return;
+        const resolveBtn = document.createElement('button');
+        resolveBtn.className = 'btn';
+        resolveBtn.textContent = t('ui.day.revealResult');
+        resolveBtn.addEventListener('click', () => {
+            const votes = Array.from(voting.querySelectorAll('.day-target')).map(el => parseInt(el.value, 10));
+            const finalRoles = dealt
+                ? cardTable.getFinalRoles()
+                : Array.from(voting.querySelectorAll('.day-card')).map(el => el.value);
+            showResult(finalRoles, votes);
+        });
+        voting.appendChild(resolveBtn);
+    };
 
-    // Compute columns based on available width.
-    const containerWidth = nodesContainer.clientWidth;
-    const nodeMin = 130; // matches CSS min width.
-    const gap = 26;
-    const cols = Math.max(2, Math.floor((containerWidth + gap) / (nodeMin + gap)));
-    nodesContainer.style.gridTemplateColumns = `repeat(${cols}, minmax(${nodeMin}px, 1fr))`;
+    const showResult = (finalRoles, votes) => {
+        const outcome = resolveVotes(finalRoles, votes);
+        result.hidden = false;
+
+        const winnersText = outcome.winners.length > 0
+            ? t('ui.day.winners', { teams: translationManager.formatList(outcome.winners.map(team => t(TEAM_LABELS[team]))) })
+            : t('ui.day.noWinner');
+        const eliminatedText = outcome.eliminated.length > 0
+            ? t('ui.day.eliminated', { seats: formatSeats(outcome.eliminated) })
+            : t('ui.day.noneEliminated');
+
+        result.innerHTML = `
+            <h3>${winnersText}</h3>
+            <p>${eliminatedText}</p>
+            <button id="day-reveal" class="btn btn-small">${t('ui.night.reveal')}</button>
+            <div class="day-final-cards">
+                ${finalRoles.map((roleId, seat) => {
+                    const roleData = getRoleData(roleId);
+                    const dead = outcome.eliminated.includes(seat) ? ' eliminated' : '';
+                    return `<div class="day-final-card${dead}">
+                        ${roleData ? `<img src="${escapeHtml(roleData.img)}" alt="${escapeHtml(roleData.name)}"/>` : ''}
+                        <span>${t('ui.seat.player', { n: seat + 1 })}</span>
+                        <span>${escapeHtml(roleData ? roleData.name : roleId)}</span>
+                        <span>${t('ui.day.votes', { count: outcome.votesReceived[seat] })}</span>
+                    </div>`;
+                }).join('')}
+            </div>
+        `;
 
-    // Place nodes in zig-zag order.
-    nodes.forEach((node, idx) => {
-        const row = Math.floor(idx / cols);
-        const colInRow = idx % cols;
-        const col = (row % 2 === 0) ? (colInRow + 1) : (cols - colInRow);
-        node.style.gridRowStart = (row + 1);
-        node.style.gridColumnStart = col;
-    });
+        document.getElementById('day-reveal').addEventListener('click', () => renderRevealView());
 
-    // Resize SVG to workflow container.
-    svg.setAttribute('width', `${workflow.clientWidth}`);
-    svg.setAttribute('height', `${workflow.clientHeight}`);
-    svg.setAttribute('viewBox', `0 0 ${workflow.clientWidth} ${workflow.clientHeight}`);
+        (async () => {
+            if (outcome.winners.length === 0) {
+                await speakAnnouncement('winner_none');
+                return;
+            }
+            for (const team of outcome.winners) {
+                await speakAnnouncement(`winner_${team}`);
+            }
+        })();
+    };
 
-    // Clear existing lines.
-    svg.querySelectorAll('line[data-from]').forEach(l => l.remove());
+    dayPhaseManager.onTimeUp = () => {
+        updateClock();
+        speakAnnouncement('discussion_end');
+        if (voting.hidden) showVoting();
+    };
 
-    const wfRect = workflow.getBoundingClientRect();
-    const centers = nodes.map(n => {
-        const r = n.getBoundingClientRect();
-        return {
-            x: (r.left - wfRect.left) + r.width / 2,
-            y: (r.top - wfRect.top) + r.height / 2
-        };
+    document.getElementById('day-duration').addEventListener('change', (e) => {
+        dayPhaseManager.setDiscussionSeconds(parseInt(e.target.value, 10));
+        updateClock();
+    });
+    startBtn.addEventListener('click', () => {
+        if (dayPhaseManager.isRunning) {
+            dayPhaseManager.pause();
+        } else {
+            dayPhaseManager.start();
+        }
+        updateClock();
+    });
+    document.getElementById('day-reset').addEventListener('click', () => {
+        dayPhaseManager.reset();
+        updateClock();
+    });
+    document.getElementById('day-vote').addEventListener('click', () => {
+        dayPhaseManager.pause();
+        updateClock();
+        if (voting.hidden) showVoting();
     });
 
-    for (let i = 0; i < centers.length - 1; i++) {
-        const a = centers[i];
-        const b = centers[i + 1];
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.setAttribute('x1', a.x);
-        line.setAttribute('y1', a.y);
-        line.setAttribute('x2', b.x);
-        line.setAttribute('y2', b.y);
-        line.setAttribute('marker-end', 'url(#arrowhead)');
-        line.dataset.from = String(i);
-        svg.appendChild(line);
-    }
+    // Clean up on navigation
+    workflowManager._cleanup = () => {
+        clearInterval(clockInterval);
+        dayPhaseManager.reset();
+        dayPhaseManager.onTimeUp = null;
+        if (roomVoteUnsubscribe) {
+            roomVoteUnsubscribe();
+            roomVoteUnsubscribe = null;
+        }
+    };
 }
 
-function renderWakeupOrderView() {
+/**
+ * Format a duration in milliseconds as seconds, e.g. "12.5s"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    return t('ui.common.seconds', { count: (ms / 1000).toFixed(1) });
+}
+
+/**
+ * Render a row of cards (players then center), highlighting slots that changed
+ * @param {{players: Array<string>, center: Array<string>}} cards
+ * @param {{players: Array<string>, center: Array<string>}|null} previous
+ * @returns {string} HTML
+ */
+function renderCardBoard(cards, previous) {
+    const renderCard = (roleId, slot, changed) => {
+        const roleData = getRoleData(roleId);
+        return `<div class="reveal-card${changed ? ' changed' : ''}">
+            ${roleData ? `<img src="${escapeHtml(roleData.img)}" alt="${escapeHtml(roleData.name)}"/>` : ''}
+            <span class="reveal-slot">${CardTable.describeSlot(slot)}</span>
+            <span>${escapeHtml(roleData ? roleData.name : roleId)}</span>
+        </div>`;
+    };
+    const players = cards.players.map((roleId, seat) =>
+        renderCard(roleId, CardTable.playerSlot(seat), previous && previous.players[seat] !== roleId));
+    const center = cards.center.map((roleId, index) =>
+        renderCard(roleId, CardTable.centerSlot(index), previous && previous.center[index] !== roleId));
+    return `<div class="reveal-board">${players.join('')}</div><div class="reveal-board center">${center.join('')}</div>`;
+}
+
+/**
+ * Post-game review: replay the night log step by step on the wakeup graph,
+ * comparing the starting cards with the cards after each step.
+ */
+function renderRevealView() {
     const main = document.getElementById('main-pane');
     if (!main) return;
 
-    // Initialize workflow with selected roles
-    const roleInstances = getSelectedRoleInstances();
-    workflowManager.setRoles(roleInstances);
+    if (workflowManager._cleanup) {
+        workflowManager._cleanup();
+        workflowManager._cleanup = null;
+    }
+
+    const log = workflowManager.getNightLog();
+    const dealt = cardTable.isDealt();
+    const starting = { players: [...cardTable.startingPlayers], center: [...cardTable.startingCenter] };
+
+    // Card layout after each step: the last action's snapshot, or unchanged
+    const layouts = [];
+    let layout = starting;
+    log.forEach(entry => {
+        const lastAction = entry.actions[entry.actions.length - 1];
+        if (lastAction && lastAction.cardsAfter) layout = lastAction.cardsAfter;
+        layouts.push(layout);
+    });
 
     main.innerHTML = '';
 
     const wrapper = document.createElement('div');
-    wrapper.className = 'wakeup-page';
+    wrapper.className = 'wakeup-page reveal-page';
     wrapper.innerHTML = `
-        <h2>Night Phase</h2>
+        <h2>${t('ui.reveal.title')}</h2>
         <div id="wakeup-workflow" class="wakeup-workflow">
-            <div id="wakeup-nodes" class="wakeup-nodes" aria-label="Night wakeup workflow"></div>
+            <div id="wakeup-nodes" class="wakeup-nodes" aria-label="${escapeHtml(t('ui.reveal.log'))}"></div>
             <svg id="wakeup-arrows" class="wakeup-arrows" aria-hidden="true">
                 <defs>
                     <marker id="arrowhead" markerWidth="10" markerHeight="7" refX="10" refY="3.5" orient="auto">
@@ -1104,79 +4035,374 @@ function renderWakeupOrderView() {
             </svg>
         </div>
         <div class="wakeup-actions">
-            <button id="wakeup-start" class="btn">Start</button>
-            <button id="wakeup-restart" class="btn">Restart</button>
+            <button id="reveal-prev" class="btn">${t('ui.reveal.previous')}</button>
+            <button id="reveal-next" class="btn">${t('ui.reveal.next')}</button>
+            <button id="reveal-play" class="btn">${t('ui.reveal.play')}</button>
         </div>
-        <div class="wakeup-hint">Roles wake up in order. Each role has a custom timer and audio announcement.</div>
+        <div id="reveal-details" class="reveal-details"></div>
     `;
     main.appendChild(wrapper);
 
     const nodesContainer = document.getElementById('wakeup-nodes');
-    if (!nodesContainer) return;
-
-    const nightRoles = workflowManager.roles;
+    const details = document.getElementById('reveal-details');
+    const playBtn = document.getElementById('reveal-play');
 
-    if (nightRoles.length === 0) {
-        nodesContainer.innerHTML = '<div class="wakeup-empty">No roles with night actions selected.</div>';
-        document.getElementById('wakeup-start').disabled = true;
-        document.getElementById('wakeup-restart').disabled = true;
-        return;
+    if (log.length === 0) {
+        nodesContainer.innerHTML = `<div class="wakeup-empty">${t('ui.reveal.empty')}</div>`;
     }
 
-    nightRoles.forEach((role, idx) => {
+    log.forEach((entry, idx) => {
         const node = document.createElement('div');
-        node.className = 'wakeup-node';
+        node.className = 'wakeup-node completed';
         node.dataset.index = String(idx);
         node.innerHTML = `
-            <div class="avatar"><img src="${role.img}" alt="${role.name}"/></div>
-            <div class="name">${role.name}</div>
-            <div class="timer" aria-live="polite"></div>
+            <div class="avatar"><img src="${escapeHtml(entry.img)}" alt="${escapeHtml(entry.name)}"/></div>
+            <div class="name">${escapeHtml(entry.name)}</div>
+            <div class="timer">${entry.skipped ? t('ui.reveal.skipped') : ''}</div>
         `;
+        node.addEventListener('click', () => show(idx));
         nodesContainer.appendChild(node);
     });
 
-    // Initialize UI
-    updateWorkflowUI();
+    // -1 shows the starting cards, log.length the final cards
+    let current = -1;
+    let playIntervalId = null;
 
-    const startBtn = document.getElementById('wakeup-start');
-    const restartBtn = document.getElementById('wakeup-restart');
-    
-    startBtn.addEventListener('click', () => {
-        workflowManager.togglePause();
-        updateWorkflowUI();
+    const show = (idx) => {
+        current = Math.max(-1, Math.min(log.length, idx));
+
+        document.querySelectorAll('.wakeup-node').forEach((node, i) => {
+            node.classList.toggle('active', i === current);
+        });
+
+        if (current === -1) {
+            details.innerHTML = `<h3>${t('ui.reveal.start')}</h3>${dealt ? renderCardBoard(starting, null) : ''}`;
+            return;
+        }
+        if (current === log.length) {
+            details.innerHTML = `<h3>${t('ui.reveal.end')}</h3>${dealt
+                ? `<h4>${t('ui.reveal.startingCards')}</h4>${renderCardBoard(starting, null)}<h4>${t('ui.reveal.finalCards')}</h4>${renderCardBoard(cardTable.snapshot(), starting)}`
+                : ''}`;
+            return;
+        }
+
+        const entry = log[current];
+        const previous = current > 0 ? layouts[current - 1] : starting;
+        const awakeMs = entry.endedAt ? entry.endedAt - entry.startedAt - entry.pausedMs : 0;
+        const actions = entry.actions.map(action => {
+            const who = action.seats.length > 0 ? `${formatSeats(action.seats)}: ` : '';
+            // Prompts and messages can name custom roles
+            const prompt = escapeHtml(action.prompt);
+            if (action.skipped) return `<li>${who}${prompt} <em>${t('ui.reveal.skippedAction')}</em></li>`;
+            const picks = action.picks.map(pick => (typeof pick === 'string' ? CardTable.describeSlot(pick) : pick)).join(', ');
+            const seen = action.seen.map(slot => CardTable.describeSlot(slot)).join(', ');
+            return `<li>${who}${prompt}${picks ? ` → ${escapeHtml(picks)}` : ''}${seen ? ` ${t('ui.reveal.lookedAt', { slots: seen })}` : ''}${action.message ? ` — ${escapeHtml(action.message)}` : ''}</li>`;
+        }).join('');
+
+        details.innerHTML = `
+            <h3>${escapeHtml(entry.name)}</h3>
+            <p class="reveal-times">${t('ui.reveal.awake', { duration: formatDuration(awakeMs) })}${entry.pausedMs > 0 ? t('ui.reveal.paused', { duration: formatDuration(entry.pausedMs) }) : ''}${entry.skipped ? t('ui.reveal.endedEarly') : ''}</p>
+            ${actions ? `<ul class="reveal-actions">${actions}</ul>` : `<p>${t('ui.reveal.noAction')}</p>`}
+            ${dealt ? renderCardBoard(layouts[current], previous) : ''}
+        `;
+    };
+
+    const stopPlaying = () => {
+        if (playIntervalId) {
+            clearInterval(playIntervalId);
+            playIntervalId = null;
+        }
+        playBtn.textContent = t('ui.reveal.play');
+    };
+
+    document.getElementById('reveal-prev').addEventListener('click', () => {
+        stopPlaying();
+        show(current - 1);
     });
-    
-    restartBtn.addEventListener('click', () => {
-        workflowManager.reset();
-        updateWorkflowUI();
-        layoutWakeupNodesAndDrawArrows();
+    document.getElementById('reveal-next').addEventListener('click', () => {
+        stopPlaying();
+        show(current + 1);
+    });
+    playBtn.addEventListener('click', () => {
+        if (playIntervalId) {
+            stopPlaying();
+            return;
+        }
+        if (current >= log.length) show(-1);
+        playBtn.textContent = t('ui.reveal.stop');
+        playIntervalId = setInterval(() => {
+            if (current >= log.length) {
+                stopPlaying();
+                return;
+            }
+            show(current + 1);
+        }, 2500);
     });
 
-    // Start UI update loop
-    startUIUpdateLoop();
+    show(-1);
 
-    // Draw after layout
     requestAnimationFrame(() => {
         layoutWakeupNodesAndDrawArrows();
     });
-
-    // Redraw on resize
     const onResize = () => layoutWakeupNodesAndDrawArrows();
     window.addEventListener('resize', onResize, { passive: true });
 
-    // Clean up on navigation
+    // Clean up on navigation (the page is already cleared by then)
     workflowManager._cleanup = () => {
         window.removeEventListener('resize', onResize);
-        if (workflowManager._uiUpdateInterval) {
-            clearInterval(workflowManager._uiUpdateInterval);
+        clearInterval(playIntervalId);
+    };
+}
+
+// ============================================================
+// MULTI-DEVICE ROOMS
+// ============================================================
+
+// Unsubscribes the day view from players' votes
+let roomVoteUnsubscribe = null;
+
+/**
+ * Host: send every player in the room their own card (seat = join order)
+ */
+function sendCardsToRoom() {
+    if (!roomClient.isHosting()) return;
+    cardTable.players.forEach((roleId, seat) => {
+        const roleData = getRoleData(roleId);
+        roomClient.sendToSeat(seat, { type: 'card', seat, roleId, name: roleData?.name, img: roleData?.img });
+    });
+}
+
+/**
+ * Host: tell each player whether they are awake for the current role
+ * @param {Role|null} role - null once the night is over
+ */
+async function sendNightPromptToRoom(role) {
+    if (!roomClient.isHosting()) return;
+    if (!role) {
+        roomClient.sendToSeat('all', { type: 'night_end' });
+        return;
+    }
+    const actors = cardTable.isDealt() ? role.getActorSeats(cardTable) : [];
+    const text = await role.getAnnouncement();
+    roomClient.players.forEach((_, seat) => {
+        const awake = actors.includes(seat);
+        roomClient.sendToSeat(seat, {
+            type: 'night',
+            awake,
+            silent: getNarrationMode() === 'silent',
+            roleName: role.name,
+            text: awake ? text : ''
+        });
+    });
+}
+
+/**
+ * Host: ask the players to vote on their phones
+ * @param {number} numPlayers
+ * @param {function(number, number)} onVote - Called with (voting seat, target seat)
+ */
+function requestVotesFromRoom(numPlayers, onVote) {
+    if (!roomClient.isHosting()) return;
+    if (roomVoteUnsubscribe) roomVoteUnsubscribe();
+    roomVoteUnsubscribe = roomClient.on('from_player', (message) => {
+        const payload = message.payload || {};
+        if (payload.type !== 'vote') return;
+        const seat = roomClient.getSeat(message.from);
+        if (seat >= 0 && seat < numPlayers) onVote(seat, payload.target);
+    });
+    const candidates = Array.from({ length: numPlayers }, (_, seat) => ({
+        seat,
+        name: roomClient.players[seat]?.name || t('ui.seat.player', { n: seat + 1 })
+    }));
+    roomClient.players.forEach((_, seat) => {
+        roomClient.sendToSeat(seat, { type: 'vote', candidates: candidates.filter(c => c.seat !== seat) });
+    });
+}
+
+/**
+ * Host page: create a room and watch the players join
+ */
+function renderRoomHostView() {
+    const main = document.getElementById('main-pane');
+    if (!main) return;
+
+    const title = document.createElement('h2');
+    title.textContent = t('ui.room.host.title');
+    main.appendChild(title);
+
+    const intro = document.createElement('p');
+    intro.textContent = t('ui.room.host.intro');
+    main.appendChild(intro);
+
+    const box = document.createElement('div');
+    box.className = 'response-box room-box';
+    main.appendChild(box);
+
+    const render = () => {
+        if (!roomClient.isHosting()) {
+            box.innerHTML = `<button id="room-create" class="btn">${t('ui.room.host.create')}</button>`;
+            document.getElementById('room-create').addEventListener('click', async () => {
+                box.innerHTML = `<p class="loading">${t('ui.room.host.creating')}</p>`;
+                try {
+                    const code = await roomClient.createRoom();
+                    await roomClient.connectAsHost(code);
+                } catch (error) {
+                    box.innerHTML = `<p class="error">${t('ui.common.error', { message: error.message })}</p>`;
+                    return;
+                }
+                render();
+            });
+            return;
+        }
+
+        const joinUrl = `${window.location.origin}/?room=${roomClient.code}`;
+        const numPlayers = getSelectedPlayerCount();
+        box.innerHTML = `
+            <p>${t('ui.room.host.code', { code: `<strong class="room-code">${roomClient.code}</strong>` })}</p>
+            <p>${t('ui.room.host.joinHint', { url: `<code>${joinUrl}</code>`, join: t('ui.menu.room-join') })}</p>
+            <h3>${t('ui.room.host.players')}</h3>
+            <ol class="room-players">
+                ${roomClient.players.map(p => `<li class="${p.connected ? '' : 'disconnected'}">${p.connected ? escapeHtml(p.name) : t('ui.room.host.disconnected', { name: escapeHtml(p.name) })}</li>`).join('') || `<li class="disconnected">${t('ui.room.host.waiting')}</li>`}
+            </ol>
+            ${roomClient.players.length !== numPlayers ? `<p class="error">${t('ui.room.host.playerCount', { count: numPlayers })}</p>` : ''}
+            <button id="room-close" class="btn">${t('ui.room.host.close')}</button>
+        `;
+        document.getElementById('room-close').addEventListener('click', () => {
+            roomClient.disconnect();
+            render();
+        });
+    };
+
+    const unsubscribers = ['room', 'player_joined', 'player_left', 'disconnected'].map(type => roomClient.on(type, render));
+    render();
+
+    workflowManager._cleanup = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+/**
+ * Player page: join a room and follow the host's card, prompts and votes
+ * @param {string} [presetCode] - Room code from the join link
+ */
+function renderRoomJoinView(presetCode = '') {
+    const main = document.getElementById('main-pane');
+    if (!main) return;
+
+    const title = document.createElement('h2');
+    title.textContent = t('ui.room.join.title');
+    main.appendChild(title);
+
+    const box = document.createElement('div');
+    box.className = 'room-player';
+    main.appendChild(box);
+
+    let card = null;
+    let cardVisible = false;
+
+    const renderJoinForm = (errorText = '') => {
+        box.innerHTML = `
+            <label>${t('ui.room.join.code')} <input id="room-code" class="room-input" maxlength="4" value="${escapeHtml(presetCode)}" autocomplete="off"/></label>
+            <label>${t('ui.room.join.name')} <input id="room-name" class="room-input" maxlength="20" value="${escapeHtml(localStorage.getItem('roomPlayerName'))}"/></label>
+            <button id="room-join" class="btn">${t('ui.room.join.join')}</button>
+            ${errorText ? `<p class="error">${escapeHtml(errorText)}</p>` : ''}
+        `;
+        document.getElementById('room-join').addEventListener('click', async () => {
+            const code = document.getElementById('room-code').value.trim().toUpperCase();
+            const name = document.getElementById('room-name').value.trim();
+            if (!code) return;
+            localStorage.setItem('roomPlayerName', name);
+            presetCode = code;
+            try {
+                await roomClient.connectAsPlayer(code, name);
+            } catch (error) {
+                renderJoinForm(error.message);
+            }
+        });
+    };
+
+    const renderStatus = (statusHtml) => {
+        box.innerHTML = `
+            <p class="room-status">${t('ui.room.join.room', { code: `<strong>${escapeHtml(roomClient.code)}</strong>` })}</p>
+            <div class="room-card">
+                ${card ? (cardVisible
+                    ? `<img src="${escapeHtml(card.img)}" alt="${escapeHtml(card.name)}"/><div class="role-name">${escapeHtml(card.name)}</div><button id="room-card-toggle" class="btn btn-small">${t('ui.deal.hideCard')}</button>`
+                    : `<p>${t('ui.seat.player', { n: Number(card.seat) + 1 })}</p><button id="room-card-toggle" class="btn btn-small">${t('ui.room.join.showCard')}</button>`)
+                    : `<p>${t('ui.room.join.waitingDeal')}</p>`}
+            </div>
+            <div id="room-prompt" class="room-prompt">${statusHtml}</div>
+        `;
+        const toggle = document.getElementById('room-card-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                cardVisible = !cardVisible;
+                renderStatus(statusHtml);
+            });
+        }
+    };
+
+    const onHostMessage = (message) => {
+        const payload = message.payload || {};
+        switch (payload.type) {
+            case 'card':
+                card = payload;
+                cardVisible = false;
+                renderStatus(`<p>${t('ui.room.join.lookAtCard')}</p>`);
+                break;
+            case 'night':
+                renderStatus(payload.awake
+                    ? `<p class="room-awake">${t('ui.room.join.wakeUp', { role: escapeHtml(payload.roleName) })}</p><p>${escapeHtml(payload.text)}</p>`
+                    : `<p class="room-asleep">${t('ui.room.join.asleep')}</p>`);
+                // Silent mode: only the awake players' phones buzz
+                if (payload.silent && payload.awake) {
+                    SilentCue.vibrate([200, 100, 200]);
+                    SilentCue.show(`${payload.roleName}: ${payload.text}`);
+                } else {
+                    SilentCue.hide();
+                }
+                break;
+            case 'night_end':
+                renderStatus(`<p>${t('ui.room.join.nightEnd')}</p>`);
+                break;
+            case 'vote':
+                if (!Array.isArray(payload.candidates)) break;
+                renderStatus(`<p>${t('ui.room.join.vote')}</p>${payload.candidates.map(c =>
+                    `<button class="btn room-vote" data-seat="${Number(c.seat)}">${escapeHtml(c.name)}</button>`).join('')}`);
+                box.querySelectorAll('.room-vote').forEach(btn => {
+                    btn.addEventListener('click', () => {
+                        roomClient.sendToHost({ type: 'vote', target: parseInt(btn.dataset.seat, 10) });
+                        renderStatus(`<p>${t('ui.room.join.voted', { name: escapeHtml(btn.textContent) })}</p>`);
+                    });
+                });
+                break;
+            default:
+                break;
         }
-        workflowManager.stop();
     };
+
+    const unsubscribers = [
+        roomClient.on('welcome', (message) => renderStatus(message.host_connected
+            ? `<p>${t('ui.room.join.connected')}</p>`
+            : `<p>${t('ui.room.join.noHost')}</p>`)),
+        roomClient.on('host_message', onHostMessage),
+        roomClient.on('host_left', () => renderStatus(`<p class="error">${t('ui.room.join.hostLeft')}</p>`)),
+        roomClient.on('disconnected', (event) => renderJoinForm(event.notFound ? t('ui.room.join.notFound') : t('ui.room.join.disconnected')))
+    ];
+
+    if (roomClient.mode === 'player' && roomClient.isConnected()) {
+        renderStatus(`<p>${t('ui.room.join.connected')}</p>`);
+    } else {
+        renderJoinForm();
+    }
+
+    workflowManager._cleanup = () => unsubscribers.forEach(unsubscribe => unsubscribe());
 }
 
 function renderSidebar() {
     const sidebar = document.getElementById('sidebar');
     if (!sidebar) return;
+
+    // Keep the open sections and the active entry when re-rendering (e.g. after a language change)
+    const expandedIds = [...sidebar.querySelectorAll('.tree-item.expanded > .tree-parent')].map(el => el.dataset.id);
+    const activeId = sidebar.querySelector('.tree-parent.active, .sub-item.active')?.dataset.id;
     sidebar.innerHTML = '';
 
     const tree = document.createElement('ul');
@@ -1188,8 +4414,9 @@ function renderSidebar() {
 
         const parent = document.createElement('div');
         parent.className = 'tree-parent';
-        parent.textContent = item.label;
+        parent.textContent = t(`ui.menu.${item.id}`);
         parent.dataset.id = item.id;
+        if (expandedIds.includes(item.id)) li.classList.add('expanded');
 
         parent.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -1211,7 +4438,7 @@ function renderSidebar() {
             item.children.forEach(child => {
                 const subLi = document.createElement('li');
                 subLi.className = 'sub-item';
-                subLi.textContent = child.label;
+                subLi.textContent = t(`ui.menu.${child.id}`);
                 subLi.dataset.id = child.id;
                 subLi.addEventListener('click', (ev) => {
                     ev.stopPropagation();
@@ -1233,6 +4460,7 @@ function renderSidebar() {
     });
 
     sidebar.appendChild(tree);
+    if (activeId) setActive(activeId);
 }
 
 function clearActive() {
@@ -1256,6 +4484,7 @@ function renderContent(id) {
         workflowManager._cleanup = null;
     }
     workflowManager.stop();
+    RoleInfoModal.close();
 
     // Role assignment landing
     if (id === 'role-assignment') {
@@ -1266,16 +4495,16 @@ function renderContent(id) {
         content.className = 'role-content';
 
         const title = document.createElement('h2');
-        title.textContent = 'Role Assignment';
+        title.textContent = t('ui.setup.title');
         const intro = document.createElement('p');
-        intro.textContent = 'Set up a new game and assign roles to players.';
+        intro.textContent = t('ui.setup.intro');
 
         // Top controls
         const controls = document.createElement('div');
         controls.className = 'role-controls';
         controls.innerHTML = `
-            <label>Number of players:
-                <select id="num-players" aria-label="Number of players">
+            <label>${t('ui.setup.players')}
+                <select id="num-players" aria-label="${escapeHtml(t('ui.setup.playersLabel'))}">
                     <option value="3">3</option>
                     <option value="4">4</option>
                     <option value="5" selected>5</option>
@@ -1286,65 +4515,61 @@ function renderContent(id) {
                     <option value="10">10</option>
                 </select>
             </label>
-            <div class="counts">Selected: <span id="selected-count">0</span> / Required: <span id="required-count">8</span>
+            <div class="counts">${t('ui.setup.counts', { selected: '<span id="selected-count">0</span>', required: '<span id="required-count">8</span>' })}
             <span class="selection-limit-flash"></span></div>
-            <button id="start-game" class="btn btn-small" disabled>Start the game</button>
+            <button id="randomize" class="btn btn-small">${t('ui.setup.randomize')}</button>
+            <button id="start-game" class="btn btn-small" disabled>${t('ui.setup.start')}</button>
         `;
 
         content.appendChild(title);
         content.appendChild(intro);
         content.appendChild(controls);
 
+        const warnings = document.createElement('div');
+        warnings.id = 'setup-warnings';
+        warnings.className = 'setup-warnings';
+        warnings.hidden = true;
+        content.appendChild(warnings);
+
+        content.appendChild(createSetupControls());
+        const randomizePanel = createRandomizePanel();
+        content.appendChild(randomizePanel);
+        content.appendChild(createExpansionFilters());
+
         // Role sections
         const sections = document.createElement('div');
         sections.className = 'role-sections';
 
-        // Werewolf team
-        const wSection = document.createElement('section');
-        wSection.className = 'role-section';
-        const wTitle = document.createElement('h3');
-        wTitle.textContent = 'Werewolf team';
-        wSection.appendChild(wTitle);
-        const wGrid = document.createElement('div');
-        wGrid.className = 'role-grid';
-        WEREWOLF_ROLES.forEach(r => {
-            const card = document.createElement('div');
-            card.className = 'role-card';
-            card.dataset.roleId = r.id;
-            card.innerHTML = `<div class="avatar"><img src="${r.img}" alt="${r.name}"/></div><div class="role-name">${r.name}</div>`;
-            card.addEventListener('click', () => toggleRole(r, true));
-            card.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                toggleRole(r, false);
-            });
-            wGrid.appendChild(card);
-        });
-        wSection.appendChild(wGrid);
-
-        // Villager team
-        const vSection = document.createElement('section');
-        vSection.className = 'role-section';
-        const vTitle = document.createElement('h3');
-        vTitle.textContent = 'Villager team';
-        vSection.appendChild(vTitle);
-        const vGrid = document.createElement('div');
-        vGrid.className = 'role-grid';
-        VILLAGER_ROLES.forEach(r => {
-            const card = document.createElement('div');
-            card.className = 'role-card';
-            card.dataset.roleId = r.id;
-            card.innerHTML = `<div class="avatar"><img src="${r.img}" alt="${r.name}"/></div><div class="role-name">${r.name}</div>`;
-            card.addEventListener('click', () => toggleRole(r, true));
-            card.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                toggleRole(r, false);
+        // One section per team, without the roles of hidden expansions
+        ROLE_TEAMS.forEach(team => {
+            const roles = roleCatalog.getShown().filter(r => r.team === team.id);
+            if (roles.length === 0) return;
+
+            const section = document.createElement('section');
+            section.className = 'role-section';
+            const sectionTitle = document.createElement('h3');
+            sectionTitle.textContent = t(`ui.team.${team.id}`);
+            section.appendChild(sectionTitle);
+            const grid = document.createElement('div');
+            grid.className = 'role-grid';
+            roles.forEach(r => {
+                const card = document.createElement('div');
+                card.className = 'role-card';
+                card.dataset.roleId = r.id;
+                const expansion = EXPANSIONS.find(e => e.id === r.expansion);
+                card.innerHTML = `<div class="avatar"><img src="${escapeHtml(r.img)}" alt="${escapeHtml(r.name)}"/></div><div class="role-name">${escapeHtml(r.name)}</div>`
+                    + (expansion ? `<div class="role-expansion">${t(`ui.expansion.${expansion.id}`)}</div>` : '');
+                attachRoleInfo(card, () => RoleFactory.createRole(r.id));
+                card.addEventListener('click', () => toggleRole(r, true));
+                card.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    toggleRole(r, false);
+                });
+                grid.appendChild(card);
             });
-            vGrid.appendChild(card);
+            section.appendChild(grid);
+            sections.appendChild(section);
         });
-        vSection.appendChild(vGrid);
-
-        sections.appendChild(wSection);
-        sections.appendChild(vSection);
         content.appendChild(sections);
 
         // Right side selected panel
@@ -1352,10 +4577,10 @@ function renderContent(id) {
         selectedPanel.className = 'selected-panel';
         selectedPanel.innerHTML = `
             <div class="selected-panel-inner">
-                <h3>Selected Roles</h3>
+                <h3>${t('ui.setup.selected')}</h3>
                 <div id="selected-panel-list" class="selected-list"></div>
                 <div class="selected-actions">
-                    <button id="clear-selection" class="btn">Clear</button>
+                    <button id="clear-selection" class="btn">${t('ui.setup.clear')}</button>
                 </div>
             </div>
         `;
@@ -1364,17 +4589,26 @@ function renderContent(id) {
         container.appendChild(selectedPanel);
         main.appendChild(container);
 
+        const playersInput = document.getElementById('num-players');
+        playersInput.value = String(selectedPlayerCount);
+
         // hooks
-        document.getElementById('num-players').addEventListener('change', () => {
+        playersInput.addEventListener('change', () => {
+            selectedPlayerCount = parseInt(playersInput.value, 10);
+            saveCurrentSelection();
             updateCountsDisplay();
         });
+        document.getElementById('randomize').addEventListener('click', () => {
+            randomizePanel.hidden = !randomizePanel.hidden;
+        });
         document.getElementById('start-game').addEventListener('click', () => {
             const required = getRequiredCards();
             if (getTotalRoleCount() !== required) return;
-            renderWakeupOrderView();
+            renderDealView();
         });
         document.getElementById('clear-selection').addEventListener('click', () => {
             selectedRoles.clear();
+            saveCurrentSelection();
             updateRoleGridSelection();
             updateSelectedPanel();
             updateCountsDisplay();
@@ -1390,33 +4624,24 @@ function renderContent(id) {
 
     // Rules by role
     if (id === 'rules-by-role') {
-        const title = document.createElement('h2');
-        title.textContent = 'Rules by Role';
-        const p = document.createElement('p');
-        p.textContent = 'Lookup rules specific to each role.';
-        main.appendChild(title);
-        main.appendChild(p);
-        main.appendChild(createPlaceholderBox('Example: Werewolf - wakes at night, tries to eliminate villagers.'));
+        renderRulesByRoleView(main);
         return;
     }
 
     // General rules
     if (id === 'general-rules') {
-        const title = document.createElement('h2');
-        title.textContent = 'General Rules';
-        main.appendChild(title);
-        main.appendChild(createPlaceholderBox('General rules for One Night Werewolf: etc.'));
+        renderGeneralRulesView(main);
         return;
     }
 
     // Settings - Language
     if (id === 'language') {
         const title = document.createElement('h2');
-        title.textContent = 'Language Settings';
+        title.textContent = t('ui.language.title');
         main.appendChild(title);
         
         const description = document.createElement('p');
-        description.textContent = 'Select the language for role announcements. Voice announcements will automatically use the appropriate text-to-speech voice.';
+        description.textContent = t('ui.language.intro');
         main.appendChild(description);
         
         // Get current language
@@ -1427,29 +4652,66 @@ function renderContent(id) {
         const selectorContainer = document.createElement('div');
         selectorContainer.className = 'language-selector';
         selectorContainer.innerHTML = `
-            <label for="language-select">Choose Language:</label>
+            <label for="language-select">${t('ui.language.choose')}</label>
             <select id="language-select" class="btn">
                 ${languages.map(lang => 
                     `<option value="${lang.code}" ${lang.code === currentLang ? 'selected' : ''}>
-                        ${lang.name}
+                        ${escapeHtml(lang.name)}
                     </option>`
                 ).join('')}
             </select>
         `;
         main.appendChild(selectorContainer);
         
+        // Narration mode (speech or silent)
+        const narrationContainer = document.createElement('div');
+        narrationContainer.className = 'language-selector';
+        const currentMode = getNarrationMode();
+        narrationContainer.innerHTML = `
+            <label for="narration-select">${t('ui.language.narration')}</label>
+            <select id="narration-select" class="btn">
+                ${NARRATION_MODES.map(mode =>
+                    `<option value="${mode.value}" ${mode.value === currentMode ? 'selected' : ''}>${t(`ui.narration.${mode.value}`)}</option>`
+                ).join('')}
+            </select>
+            ${SilentCue.canVibrate() ? '' : `<p class="narration-note">${t('ui.language.noVibration')}</p>`}
+        `;
+        main.appendChild(narrationContainer);
+        document.getElementById('narration-select').addEventListener('change', (e) => {
+            setNarrationMode(e.target.value);
+        });
+
+        // Bilingual narration: every announcement again in a second language
+        const secondaryContainer = document.createElement('div');
+        secondaryContainer.className = 'language-selector';
+        const secondaryLang = translationManager.getSecondaryLanguage();
+        secondaryContainer.innerHTML = `
+            <label for="secondary-language-select">${t('ui.language.secondary')}</label>
+            <select id="secondary-language-select" class="btn">
+                <option value="">${t('ui.language.secondaryNone')}</option>
+                ${languages.filter(lang => lang.code !== currentLang).map(lang =>
+                    `<option value="${lang.code}" ${lang.code === secondaryLang ? 'selected' : ''}>${escapeHtml(lang.name)}</option>`
+                ).join('')}
+            </select>
+            <p class="narration-note">${t('ui.language.secondaryHint')}</p>
+        `;
+        main.appendChild(secondaryContainer);
+        document.getElementById('secondary-language-select').addEventListener('change', (e) => {
+            translationManager.setSecondaryLanguage(e.target.value || null);
+        });
+
         // Current status
         const statusBox = document.createElement('div');
         statusBox.id = 'language-status';
         statusBox.className = 'response-box';
         const currentLangName = languages.find(l => l.code === currentLang)?.name || 'English';
-        statusBox.innerHTML = `<p>Current language: <strong>${currentLangName}</strong></p>`;
+        statusBox.innerHTML = `<p>${t('ui.language.current', { language: `<strong>${currentLangName}</strong>` })}</p>`;
         main.appendChild(statusBox);
         
         // Test button
         const testBtn = document.createElement('button');
         testBtn.className = 'btn';
-        testBtn.textContent = 'Test Announcement';
+        testBtn.textContent = t('ui.language.test');
         testBtn.style.marginTop = '10px';
         main.appendChild(testBtn);
         
@@ -1465,20 +4727,23 @@ function renderContent(id) {
             const newLang = e.target.value;
             const langName = languages.find(l => l.code === newLang)?.name;
             
-            statusBox.innerHTML = '<p class="loading">Loading translations...</p>';
+            statusBox.innerHTML = `<p class="loading">${t('ui.language.loading')}</p>`;
             
             try {
                 await translationManager.setLanguage(newLang);
-                statusBox.innerHTML = `<p class="success">✓ Language changed to <strong>${langName}</strong></p>`;
+                // Redraw this page in the new language, then confirm on the new status box
+                renderContent('language');
+                document.getElementById('language-status').innerHTML =
+                    `<p class="success">${t('ui.language.changed', { language: `<strong>${langName}</strong>` })}</p>`;
             } catch (error) {
-                statusBox.innerHTML = `<p class="error">Error loading language: ${error.message}</p>`;
+                statusBox.innerHTML = `<p class="error">${t('ui.language.error', { message: error.message })}</p>`;
                 console.error('Language change error:', error);
             }
         });
         
         // Test button handler
         testBtn.addEventListener('click', async () => {
-            testOutput.innerHTML = '<p class="loading">Speaking test announcement...</p>';
+            testOutput.innerHTML = `<p class="loading">${t('ui.language.speaking')}</p>`;
             
             try {
                 // Create a test role and speak its announcement
@@ -1486,24 +4751,61 @@ function renderContent(id) {
                 await testRole.playAudio();
                 
                 const announcement = await testRole.getAnnouncement();
-                testOutput.innerHTML = `<p class="success">✓ Test complete!</p><p><em>"${announcement}"</em></p>`;
+                testOutput.innerHTML = `<p class="success">${t('ui.language.testDone')}</p><p><em>"${announcement}"</em></p>`;
             } catch (error) {
-                testOutput.innerHTML = `<p class="error">Error: ${error.message}</p>`;
+                testOutput.innerHTML = `<p class="error">${t('ui.common.error', { message: error.message })}</p>`;
                 console.error('Test error:', error);
             }
         });
-        
+
+        renderLanguageImport(main);
+        return;
+    }
+
+    // Settings - Voice, rate, pitch and volume
+    if (id === 'voice') {
+        renderVoiceSettingsView(main);
+        return;
+    }
+
+    // Settings - Role timers and pacing presets
+    if (id === 'pacing') {
+        renderPacingView(main);
+        return;
+    }
+
+    // Settings - Import house-rule roles
+    if (id === 'custom-roles') {
+        renderCustomRolesView(main);
+        return;
+    }
+
+    // Settings - Audio pack and narration recorder
+    if (id === 'audio-pack') {
+        renderAudioPackView(main);
+        return;
+    }
+
+    // Settings - Offline cache status
+    if (id === 'offline') {
+        renderOfflineView(main);
+        return;
+    }
+
+    // Settings - Missing, empty and extra translation keys
+    if (id === 'translations') {
+        renderTranslationCoverageView(main);
         return;
     }
 
     // Settings - Health check (calls API)
     if (id === 'health-check') {
         const title = document.createElement('h2');
-        title.textContent = 'Health Check';
+        title.textContent = t('ui.health.title');
         main.appendChild(title);
         const btn = document.createElement('button');
         btn.className = 'btn';
-        btn.textContent = 'Check API Health';
+        btn.textContent = t('ui.health.check');
         const resp = document.createElement('div');
         resp.id = 'api-response';
         resp.className = 'response-box';
@@ -1516,11 +4818,11 @@ function renderContent(id) {
     // Settings - App info (calls API)
     if (id === 'app-info') {
         const title = document.createElement('h2');
-        title.textContent = 'App Info';
+        title.textContent = t('ui.appInfo.title');
         main.appendChild(title);
         const btn = document.createElement('button');
         btn.className = 'btn';
-        btn.textContent = 'Get App Info';
+        btn.textContent = t('ui.appInfo.get');
         const resp = document.createElement('div');
         resp.id = 'api-response';
         resp.className = 'response-box';
@@ -1530,8 +4832,1002 @@ function renderContent(id) {
         return;
     }
 
+    // Multiplayer room
+    if (id === 'room-host') {
+        renderRoomHostView();
+        return;
+    }
+    if (id === 'room-join') {
+        const roomCode = new URLSearchParams(window.location.search).get('room') || '';
+        renderRoomJoinView(roomCode.toUpperCase());
+        return;
+    }
+
     // Default landing
-    main.innerHTML = `<div class="landing"><h2>Welcome!</h2><p>Select a module on the left.</p></div>`;
+    main.innerHTML = `<div class="landing"><h2>${t('ui.landing.title')}</h2><p>${t('ui.landing.select')}</p></div>`;
+}
+
+/**
+ * Rule texts of a role in the current language. Keys come from the role's
+ * rulesKey: '<key>' (night action), '<key>_win' (falls back to the team's
+ * 'win_<team>') and '<key>_notes' (interactions, optional).
+ * @param {Object} role - Role catalog entry
+ * @returns {Promise<{action: string, win: string, notes: string}>}
+ */
+async function getRoleRulesText(role) {
+    const key = role.rulesKey;
+    const action = (key && await translationManager.get(key))
+        || escapeHtml(roleCatalog.getCustomAnnouncement(role.id, translationManager.getCurrentLanguage()));
+    const win = (key && await translationManager.get(`${key}_win`)) || await translationManager.get(`win_${role.team}`);
+    const notes = key ? await translationManager.get(`${key}_notes`) : '';
+    return { action, win, notes };
+}
+
+/**
+ * Rules by role: every role in the catalog with its card, team, wake order,
+ * night action, win condition and interactions, filtered by a search box
+ * @param {HTMLElement} main
+ */
+async function renderRulesByRoleView(main) {
+    const title = document.createElement('h2');
+    title.textContent = t('ui.rules.byRole.title');
+    main.appendChild(title);
+
+    const description = document.createElement('p');
+    description.textContent = t('ui.rules.byRole.intro');
+    main.appendChild(description);
+
+    const filters = document.createElement('div');
+    filters.className = 'rules-filters';
+    filters.innerHTML = `
+        <input type="search" id="rules-search" placeholder="${escapeHtml(t('ui.rules.byRole.search'))}" aria-label="${escapeHtml(t('ui.rules.byRole.searchLabel'))}">
+        <select id="rules-team" aria-label="${escapeHtml(t('ui.rules.byRole.team'))}">
+            <option value="">${t('ui.rules.byRole.allTeams')}</option>
+            ${ROLE_TEAMS.map(team => `<option value="${team.id}">${t(`ui.team.${team.id}`)}</option>`).join('')}
+        </select>
+    `;
+    main.appendChild(filters);
+
+    const list = document.createElement('div');
+    list.className = 'rules-list';
+    list.textContent = t('ui.common.loading');
+    main.appendChild(list);
+
+    const roles = roleCatalog.getAll();
+    const wakeOrder = roles
+        .filter(r => r.wakeup)
+        .sort((a, b) => a.wakeupOrder - b.wakeupOrder)
+        .map(r => r.id);
+    const texts = await Promise.all(roles.map(getRoleRulesText));
+
+    // The host may have left the page while the translations loaded
+    if (!list.isConnected) return;
+
+    list.innerHTML = '';
+    roles.forEach((role, index) => {
+        const { action, win, notes } = texts[index];
+        const team = ROLE_TEAMS.some(t => t.id === role.team) ? t(`ui.team.${role.team}`) : role.team;
+        const expansion = EXPANSIONS.some(e => e.id === role.expansion) ? t(`ui.expansion.${role.expansion}`) : '';
+        const wake = role.wakeup
+            ? t('ui.rules.wakes', { n: wakeOrder.indexOf(role.id) + 1, total: wakeOrder.length })
+            : t('ui.rules.noWake');
+
+        const entry = document.createElement('article');
+        entry.className = 'rules-entry';
+        entry.dataset.team = role.team;
+        entry.dataset.search = [role.name, role.defaultName, team, expansion, action, win, notes].join(' ').toLowerCase();
+        entry.innerHTML = `
+            <img src="${escapeHtml(role.img)}" alt="${escapeHtml(role.name)}">
+            <div class="rules-entry-body">
+                <h3>${escapeHtml(role.name)}</h3>
+                <p class="rules-entry-meta">${team} · ${wake}${expansion ? ` · ${expansion}` : ''}</p>
+                <dl>
+                    <dt>${t('ui.rules.action')}</dt><dd>${action || '—'}</dd>
+                    <dt>${t('ui.rules.win')}</dt><dd>${win || '—'}</dd>
+                    ${notes ? `<dt>${t('ui.rules.notes')}</dt><dd>${notes}</dd>` : ''}
+                </dl>
+            </div>
+        `;
+        list.appendChild(entry);
+    });
+
+    const empty = document.createElement('p');
+    empty.textContent = t('ui.rules.byRole.noMatch');
+    empty.hidden = true;
+    list.appendChild(empty);
+
+    const searchInput = filters.querySelector('#rules-search');
+    const teamSelect = filters.querySelector('#rules-team');
+    const applyFilters = () => {
+        const terms = searchInput.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        let shown = 0;
+        list.querySelectorAll('.rules-entry').forEach(entry => {
+            const match = (!teamSelect.value || entry.dataset.team === teamSelect.value)
+                && terms.every(term => entry.dataset.search.includes(term));
+            entry.hidden = !match;
+            if (match) shown++;
+        });
+        empty.hidden = shown > 0;
+    };
+    searchInput.addEventListener('input', applyFilters);
+    teamSelect.addEventListener('change', applyFilters);
+    searchInput.focus();
+}
+
+// How long a touch must be held on a role card or wakeup node to open its rules
+const ROLE_INFO_LONG_PRESS_MS = 500;
+
+/**
+ * Modal with a role's rules, its exact night announcement and a button to hear it.
+ * Opened from the info button (or a long press) on role cards and wakeup nodes.
+ */
+const RoleInfoModal = {
+    _element: null,
+    _onKeyDown: null,
+    _openToken: null,
+
+    /**
+     * @param {Role} role - Role instance; Doppelgänger sub-phases show the Doppelgänger's rules
+     * @returns {Promise<void>}
+     */
+    async open(role) {
+        this.close();
+        const token = {};
+        this._openToken = token;
+
+        const entry = roleCatalog.get(role.id) || roleCatalog.get('doppelganger');
+        const team = ROLE_TEAMS.some(t => t.id === entry.team) ? t(`ui.team.${entry.team}`) : entry.team;
+        const [rules, text] = await Promise.all([getRoleRulesText(entry), translationManager.get(role.id)]);
+        const announcement = text || escapeHtml(roleCatalog.getCustomAnnouncement(role.id, translationManager.getCurrentLanguage()));
+
+        // Another role was opened (or the modal closed) while the texts loaded
+        if (this._openToken !== token) return;
+
+        const el = document.createElement('div');
+        el.className = 'role-info-modal';
+        el.innerHTML = `
+            <div class="role-info-dialog" role="dialog" aria-modal="true" aria-label="${escapeHtml(role.name)}">
+                <button class="role-info-close" aria-label="${escapeHtml(t('ui.common.close'))}">×</button>
+                <div class="role-info-header">
+                    <img src="${escapeHtml(role.img)}" alt="${escapeHtml(role.name)}">
+                    <div>
+                        <h3>${escapeHtml(role.name)}</h3>
+                        <p class="rules-entry-meta">${team} · ${role.wakeup ? t('ui.rules.wakesFor', { seconds: role.timer }) : t('ui.rules.noWake')}</p>
+                    </div>
+                </div>
+                <dl>
+                    <dt>${t('ui.rules.action')}</dt><dd>${rules.action || '—'}</dd>
+                    <dt>${t('ui.rules.win')}</dt><dd>${rules.win || '—'}</dd>
+                    ${rules.notes ? `<dt>${t('ui.rules.notes')}</dt><dd>${rules.notes}</dd>` : ''}
+                    <dt>${t('ui.rules.announcement')}</dt><dd class="role-info-announcement">${announcement || '—'}</dd>
+                </dl>
+                <button class="btn btn-small role-info-play" ${announcement ? '' : 'disabled'}>${t('ui.rules.play')}</button>
+            </div>
+        `;
+
+        const playBtn = el.querySelector('.role-info-play');
+        if (workflowManager.isRunning) {
+            // Don't talk over the night that is being narrated
+            playBtn.disabled = true;
+            playBtn.title = t('ui.rules.pauseFirst');
+        }
+        playBtn.addEventListener('click', async () => {
+            playBtn.disabled = true;
+            await role.playAudio();
+            playBtn.disabled = false;
+        });
+        el.querySelector('.role-info-close').addEventListener('click', () => this.close());
+        el.addEventListener('click', (event) => {
+            if (event.target === el) this.close();
+        });
+        this._onKeyDown = (event) => {
+            if (event.key === 'Escape') this.close();
+        };
+        document.addEventListener('keydown', this._onKeyDown);
+
+        document.body.appendChild(el);
+        this._element = el;
+        el.querySelector('.role-info-close').focus();
+    },
+
+    /**
+     * Close the modal, if open
+     */
+    close() {
+        this._openToken = null;
+        if (this._onKeyDown) {
+            document.removeEventListener('keydown', this._onKeyDown);
+            this._onKeyDown = null;
+        }
+        if (this._element) {
+            this._element.remove();
+            this._element = null;
+        }
+    }
+};
+
+/**
+ * Add an info button and a long press to a role card or wakeup node, both opening
+ * RoleInfoModal. The click or context menu that ends a long press is swallowed so
+ * it doesn't also toggle the role.
+ * @param {HTMLElement} element
+ * @param {function(): Role} getRole
+ */
+function attachRoleInfo(element, getRole) {
+    const button = document.createElement('button');
+    button.className = 'role-info-btn';
+    button.textContent = 'i';
+    button.title = t('ui.rules.info');
+    button.setAttribute('aria-label', t('ui.rules.info'));
+    button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        RoleInfoModal.open(getRole());
+    });
+    button.addEventListener('contextmenu', (event) => event.stopPropagation());
+    element.appendChild(button);
+
+    let timeoutId = null;
+    let longPressed = false;
+    const cancel = () => {
+        clearTimeout(timeoutId);
+        timeoutId = null;
+    };
+    const fire = () => {
+        cancel();
+        longPressed = true;
+        RoleInfoModal.open(getRole());
+    };
+
+    element.addEventListener('pointerdown', (event) => {
+        longPressed = false;
+        if (event.pointerType === 'mouse' || event.target === button) return;
+        cancel();
+        timeoutId = setTimeout(fire, ROLE_INFO_LONG_PRESS_MS);
+    });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => element.addEventListener(type, cancel));
+
+    // Capture phase, so these run before the card's own click/contextmenu handlers
+    element.addEventListener('contextmenu', (event) => {
+        // Mobile browsers fire contextmenu on a long press, sometimes before our timer
+        if (timeoutId) fire();
+        if (!longPressed) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }, true);
+    element.addEventListener('click', (event) => {
+        if (!longPressed) return;
+        longPressed = false;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }, true);
+}
+
+/**
+ * Sections of the General rules page, translated with 'general_rules_<id>_title'
+ * and 'general_rules_<id>' (paragraphs separated by newlines). Sections with
+ * `roles` or `teams` only show in "Rules for this game" mode when the selection
+ * has one of those roles or a role of those teams.
+ */
+const GENERAL_RULES_SECTIONS = [
+    { id: 'setup' },
+    { id: 'night' },
+    { id: 'day' },
+    { id: 'voting' },
+    { id: 'winning' },
+    { id: 'tanner', roles: ['tanner', 'apprentice-tanner'] },
+    { id: 'hunter', roles: ['hunter'] },
+    { id: 'bodyguard', roles: ['bodyguard'] },
+    { id: 'minion', roles: ['minion'] },
+    { id: 'doppelganger', roles: ['doppelganger'] },
+    { id: 'alpha-wolf', roles: ['alpha-wolf'] },
+    { id: 'shields', roles: ['sentinel', 'revealer', 'exposer', 'flipper'] },
+    { id: 'artifacts', roles: ['curator'] },
+    { id: 'marks', roles: ['vampire', 'the-count', 'renfield', 'diseased', 'cupid', 'instigator', 'priest', 'marksman', 'pickpocket', 'gremlin'] },
+    { id: 'other-teams', teams: ['vampire', 'alien', 'villain'] }
+];
+
+/**
+ * @param {Object} section - Entry of GENERAL_RULES_SECTIONS
+ * @param {Array<string>} roleIds - Selected role ids
+ * @returns {boolean}
+ */
+function isRulesSectionRelevant(section, roleIds) {
+    if (!section.roles && !section.teams) return true;
+    return roleIds.some(roleId => section.roles?.includes(roleId)
+        || section.teams?.includes(getRoleData(roleId)?.team));
+}
+
+/**
+ * General rules: setup, night, day, voting and winning, plus role-specific notes.
+ * "Rules for this game" keeps only the sections the selected roles need and
+ * lists this game's night order.
+ * @param {HTMLElement} main
+ */
+async function renderGeneralRulesView(main) {
+    const title = document.createElement('h2');
+    title.textContent = t('ui.rules.general.title');
+    main.appendChild(title);
+
+    const modes = document.createElement('div');
+    modes.className = 'rules-filters';
+    modes.innerHTML = `
+        <label><input type="radio" name="rules-mode" value="all" checked> ${t('ui.rules.general.all')}</label>
+        <label><input type="radio" name="rules-mode" value="game"> ${t('ui.rules.general.game')}</label>
+    `;
+    main.appendChild(modes);
+
+    const content = document.createElement('div');
+    content.className = 'general-rules';
+    content.textContent = t('ui.common.loading');
+    main.appendChild(content);
+
+    const texts = await Promise.all(GENERAL_RULES_SECTIONS.map(async section => ({
+        title: await translationManager.get(`general_rules_${section.id}_title`),
+        body: await translationManager.get(`general_rules_${section.id}`)
+    })));
+    const nightOrderTitle = await translationManager.get('general_rules_night_order_title');
+
+    // The host may have left the page while the translations loaded
+    if (!content.isConnected) return;
+
+    const render = (mode) => {
+        content.innerHTML = '';
+        const roleIds = [...selectedRoles.keys()];
+
+        if (mode === 'game' && roleIds.length === 0) {
+            content.appendChild(createPlaceholderBox(t('ui.rules.general.noRoles', { page: t('ui.menu.role-assignment') })));
+            return;
+        }
+
+        GENERAL_RULES_SECTIONS.forEach((section, index) => {
+            if (mode === 'game' && !isRulesSectionRelevant(section, roleIds)) return;
+            const el = document.createElement('section');
+            el.className = 'general-rules-section';
+            el.innerHTML = `<h3>${texts[index].title}</h3>`
+                + texts[index].body.split('\n').map(paragraph => `<p>${paragraph}</p>`).join('');
+            content.appendChild(el);
+        });
+
+        if (mode === 'game') {
+            const roles = getSelectedRoleInstances();
+            const wakeOrder = [...roles, ...Doppelganger.createSubPhases(roles)]
+                .filter(role => role.wakeup)
+                .sort((a, b) => a.wakeupOrder - b.wakeupOrder);
+            const el = document.createElement('section');
+            el.className = 'general-rules-section';
+            el.innerHTML = `<h3>${nightOrderTitle}</h3>`
+                + (wakeOrder.length > 0
+                    ? `<ol>${wakeOrder.map(role => `<li>${escapeHtml(role.name)}</li>`).join('')}</ol>`
+                    : '<p>—</p>');
+            content.appendChild(el);
+        }
+    };
+
+    modes.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => render(input.value));
+    });
+    render('all');
+}
+
+// Slider ranges for the Voice settings page (labels: 'ui.voice.<key>')
+const VOICE_SLIDERS = [
+    { key: 'rate', min: 0.5, max: 2, step: 0.05 },
+    { key: 'pitch', min: 0, max: 2, step: 0.05 },
+    { key: 'volume', min: 0, max: 1, step: 0.05 }
+];
+
+/**
+ * Settings page: pick the speech voice and tune rate, pitch and volume.
+ * Settings are saved per language as soon as they change.
+ * @param {HTMLElement} main
+ */
+function renderVoiceSettingsView(main) {
+    const title = document.createElement('h2');
+    title.textContent = t('ui.voice.title');
+    main.appendChild(title);
+
+    const language = translationManager.getCurrentLanguage();
+    const langName = translationManager.getSupportedLanguages().find(l => l.code === language)?.name || language;
+
+    const description = document.createElement('p');
+    description.innerHTML = t('ui.voice.intro', { language: `<strong>${langName}</strong>` });
+    main.appendChild(description);
+
+    if (!('speechSynthesis' in window)) {
+        main.appendChild(createPlaceholderBox(t('ui.voice.unsupported')));
+        return;
+    }
+
+    const form = document.createElement('div');
+    form.className = 'voice-settings';
+    main.appendChild(form);
+
+    const render = () => {
+        const settings = translationManager.getVoiceSettings();
+        const voices = translationManager.getVoicesForLanguage();
+
+        form.innerHTML = `
+            <div class="language-selector">
+                <label for="voice-select">${t('ui.voice.voice')}</label>
+                <select id="voice-select" class="btn">
+                    <option value="">${t('ui.voice.automatic')}</option>
+                    ${voices.map(v =>
+                        `<option value="${v.voiceURI}" ${v.voiceURI === settings.voiceURI ? 'selected' : ''}>${v.name} (${v.lang})${v.localService ? '' : ` – ${t('ui.voice.online')}`}</option>`
+                    ).join('')}
+                </select>
+                ${voices.length === 0 ? `<p class="narration-note">${t('ui.voice.noVoices')}</p>` : ''}
+            </div>
+            ${VOICE_SLIDERS.map(slider => `
+                <div class="voice-slider">
+                    <label for="voice-${slider.key}">${t(`ui.voice.${slider.key}`)}:</label>
+                    <input type="range" id="voice-${slider.key}" data-key="${slider.key}"
+                        min="${slider.min}" max="${slider.max}" step="${slider.step}" value="${settings[slider.key]}">
+                    <span class="voice-value">${Number(settings[slider.key]).toFixed(2)}</span>
+                </div>
+            `).join('')}
+            <div class="voice-actions">
+                <button class="btn" id="voice-preview">${t('ui.voice.preview')}</button>
+                <button class="btn" id="voice-reset">${t('ui.voice.reset')}</button>
+            </div>
+        `;
+
+        form.querySelector('#voice-select').addEventListener('change', (e) => {
+            translationManager.setVoiceSettings({ voiceURI: e.target.value || null });
+        });
+
+        form.querySelectorAll('input[type="range"]').forEach(input => {
+            input.addEventListener('input', () => {
+                input.nextElementSibling.textContent = Number(input.value).toFixed(2);
+                translationManager.setVoiceSettings({ [input.dataset.key]: Number(input.value) });
+            });
+        });
+
+        form.querySelector('#voice-preview').addEventListener('click', async () => {
+            // Preview with speech even when narration is set to silent
+            const text = await translationManager.get('werewolf') || 'Everyone, close your eyes.';
+            window.speechSynthesis.cancel();
+            window.speechSynthesis.speak(Role.createUtterance(text));
+        });
+
+        form.querySelector('#voice-reset').addEventListener('click', () => {
+            translationManager.resetVoiceSettings();
+            render();
+        });
+    };
+
+    render();
+
+    // Voices load asynchronously in some browsers
+    const onVoicesChanged = () => render();
+    window.speechSynthesis.addEventListener('voiceschanged', onVoicesChanged);
+    workflowManager._cleanup = () => {
+        window.speechSynthesis.removeEventListener('voiceschanged', onVoicesChanged);
+        window.speechSynthesis.cancel();
+    };
+}
+
+/**
+ * Settings page: pacing preset, transition pause and per-role timer overrides
+ * @param {HTMLElement} main
+ */
+function renderPacingView(main) {
+    const title = document.createElement('h2');
+    title.textContent = t('ui.pacing.title');
+    main.appendChild(title);
+
+    const description = document.createElement('p');
+    description.textContent = t('ui.pacing.intro');
+    main.appendChild(description);
+
+    const form = document.createElement('div');
+    form.className = 'pacing-settings';
+    main.appendChild(form);
+
+    // Roles that wake up, in night order
+    const nightRoles = roleCatalog.getAll()
+        .map(role => RoleFactory.createBaseRole(role.id))
+        .filter(role => role && role.wakeup)
+        .sort((a, b) => a.wakeupOrder - b.wakeupOrder);
+
+    const render = () => {
+        const preset = pacingSettings.getPreset();
+        form.innerHTML = `
+            <div class="language-selector">
+                <label for="pacing-preset">${t('ui.pacing.preset')}</label>
+                <select id="pacing-preset" class="btn">
+                    ${PACING_PRESETS.map(p =>
+                        `<option value="${p.id}" ${p.id === preset.id ? 'selected' : ''}>${t(`ui.pacing.preset.${p.id}`)}</option>`
+                    ).join('')}
+                </select>
+            </div>
+            <div class="language-selector">
+                <label for="pacing-transition">${t('ui.pacing.transition')}</label>
+                <input type="number" id="pacing-transition" class="pacing-input" min="0" max="30" step="0.5"
+                    value="${pacingSettings.getTransitionPauseMs() / 1000}">
+            </div>
+            <table class="pacing-table">
+                <thead>
+                    <tr><th>${t('ui.pacing.role')}</th><th>${t('ui.pacing.presetColumn')}</th><th>${t('ui.pacing.override')}</th></tr>
+                </thead>
+                <tbody>
+                    ${nightRoles.map(role => `
+                        <tr>
+                            <td>${escapeHtml(role.name)}</td>
+                            <td>${t('ui.common.seconds', { count: pacingSettings.getPresetTimer(role.timer) })}</td>
+                            <td><input type="number" class="pacing-input" data-role="${role.id}" min="1" max="600"
+                                value="${pacingSettings.timerOverrides[role.id] ?? ''}"
+                                placeholder="${pacingSettings.getPresetTimer(role.timer)}"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <button class="btn" id="pacing-reset">${t('ui.pacing.reset')}</button>
+        `;
+
+        form.querySelector('#pacing-preset').addEventListener('change', (e) => {
+            pacingSettings.setPreset(e.target.value);
+            render();
+        });
+
+        form.querySelector('#pacing-transition').addEventListener('change', (e) => {
+            const seconds = parseFloat(e.target.value);
+            if (Number.isFinite(seconds) && seconds >= 0) {
+                pacingSettings.setTransitionPauseMs(Math.round(seconds * 1000));
+            } else {
+                e.target.value = pacingSettings.getTransitionPauseMs() / 1000;
+            }
+        });
+
+        form.querySelectorAll('input[data-role]').forEach(input => {
+            input.addEventListener('change', () => {
+                const seconds = parseInt(input.value, 10);
+                pacingSettings.setTimerOverride(input.dataset.role, seconds > 0 ? seconds : null);
+                if (!(seconds > 0)) input.value = '';
+            });
+        });
+
+        form.querySelector('#pacing-reset').addEventListener('click', () => {
+            pacingSettings.reset();
+            render();
+        });
+    };
+
+    render();
+}
+
+/**
+ * Settings page: import custom roles from a JSON file and manage them
+ * @param {HTMLElement} main
+ */
+function renderCustomRolesView(main) {
+    const title = document.createElement('h2');
+    title.textContent = t('ui.customRoles.title');
+    main.appendChild(title);
+
+    const description = document.createElement('p');
+    description.textContent = t('ui.customRoles.intro');
+    main.appendChild(description);
+
+    const importBox = document.createElement('div');
+    importBox.className = 'custom-roles-import';
+    importBox.innerHTML = `
+        <label class="btn" for="custom-roles-file">${t('ui.customRoles.import')}</label>
+        <input type="file" id="custom-roles-file" accept=".json,application/json" hidden>
+        <p id="custom-roles-message" class="narration-note"></p>
+    `;
+    main.appendChild(importBox);
+
+    const list = document.createElement('div');
+    list.className = 'custom-roles-list';
+    main.appendChild(list);
+
+    const example = document.createElement('details');
+    example.innerHTML = `
+        <summary>${t('ui.customRoles.format')}</summary>
+        <pre class="custom-roles-example">${JSON.stringify({
+            roles: [{
+                id: 'night-owl',
+                name: 'Night Owl',
+                team: 'villager',
+                timer: 15,
+                wakeup: true,
+                wakeupOrder: 5.5,
+                rules: { max: 1 },
+                announcements: {
+                    en: { start: 'Night Owl, wake up. You may look at one center card.', end: 'Night Owl, close your eyes.' }
+                }
+            }]
+        }, null, 2)}</pre>
+        <p>${t('ui.customRoles.formatHint', { teams: ROLE_TEAMS.map(team => team.id).join(', ') })}</p>
+    `;
+    main.appendChild(example);
+
+    const render = () => {
+        if (roleCatalog.custom.length === 0) {
+            list.innerHTML = `<p>${t('ui.customRoles.empty')}</p>`;
+            return;
+        }
+        list.innerHTML = `
+            <table class="pacing-table">
+                <thead><tr><th>${t('ui.pacing.role')}</th><th>${t('ui.rules.byRole.team')}</th><th>${t('ui.customRoles.wakes')}</th><th></th></tr></thead>
+                <tbody>
+                    ${roleCatalog.custom.map(role => `
+                        <tr>
+                            <td>${escapeHtml(role.name)} <code>${role.id}</code></td>
+                            <td>${t(`ui.team.${role.team}`)}</td>
+                            <td>${role.wakeup ? t('ui.customRoles.order', { order: role.wakeupOrder, seconds: role.timer }) : t('ui.customRoles.no')}</td>
+                            <td><button class="btn btn-small" data-remove="${role.id}">${t('ui.customRoles.remove')}</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        list.querySelectorAll('[data-remove]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                roleCatalog.removeCustomRole(btn.dataset.remove);
+                selectedRoles.delete(btn.dataset.remove);
+                saveCurrentSelection();
+                render();
+            });
+        });
+    };
+
+    const message = importBox.querySelector('#custom-roles-message');
+    importBox.querySelector('#custom-roles-file').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = roleCatalog.importCustomRoles(JSON.parse(await file.text()));
+            offlineCache.cacheUrls(imported.map(role => role.img));
+            message.textContent = t('ui.customRoles.imported', { roles: translationManager.formatList(imported.map(role => role.name)) });
+            message.classList.remove('error');
+        } catch (error) {
+            message.textContent = t('ui.customRoles.failed', { message: error.message });
+            message.classList.add('error');
+        }
+        render();
+    });
+
+    render();
+}
+
+/**
+ * Whether a translation key is a spoken announcement (and can be recorded), as
+ * opposed to a UI string ('ui.*', 'role.name.*') or a rules text
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isAnnouncementKey(key) {
+    return !key.includes('.') && !/_rules(_win|_notes)?$/.test(key) && !/^(win_|general_rules_)/.test(key);
+}
+
+/**
+ * Settings page: choose an audio pack and record your own narration
+ * @param {HTMLElement} main
+ */
+async function renderAudioPackView(main) {
+    const title = document.createElement('h2');
+    title.textContent = t('ui.audioPack.title');
+    main.appendChild(title);
+
+    const description = document.createElement('p');
+    description.textContent = t('ui.audioPack.intro');
+    main.appendChild(description);
+
+    const packs = await audioPackManager.getPacks();
+    const selector = document.createElement('div');
+    selector.className = 'language-selector';
+    selector.innerHTML = `
+        <label for="audio-pack-select">${t('ui.audioPack.pack')}</label>
+        <select id="audio-pack-select" class="btn">
+            ${packs.map(pack =>
+                `<option value="${escapeHtml(pack.id)}" ${pack.id === audioPackManager.getCurrentPack() ? 'selected' : ''}>${escapeHtml(pack.name)}</option>`
+            ).join('')}
+        </select>
+    `;
+    main.appendChild(selector);
+    document.getElementById('audio-pack-select').addEventListener('change', (e) => {
+        audioPackManager.setPack(e.target.value);
+    });
+
+    const recorderTitle = document.createElement('h3');
+    recorderTitle.className = 'recorder-title';
+    recorderTitle.textContent = t('ui.audioPack.myRecordings');
+    main.appendChild(recorderTitle);
+
+    if (!NarrationRecorder.isSupported()) {
+        main.appendChild(createPlaceholderBox(t('ui.audioPack.unsupported')));
+        return;
+    }
+
+    const language = translationManager.getCurrentLanguage();
+    const translations = await translationManager.loadTranslations(language);
+    const keys = Object.keys(translations).filter(isAnnouncementKey);
+
+    const hint = document.createElement('p');
+    hint.textContent = t('ui.audioPack.hint', { pack: t('ui.audioPack.myRecordings') });
+    main.appendChild(hint);
+
+    const table = document.createElement('table');
+    table.className = 'recorder-table';
+    main.appendChild(table);
+
+    const recorder = new NarrationRecorder();
+    let recordingKey = null;
+
+    const render = async () => {
+        const recorded = await audioPackManager.listRecordings(language);
+        table.innerHTML = keys.map(key => `
+            <tr data-key="${key}">
+                <td><code>${key}</code><div class="recorder-text">${translations[key]}</div></td>
+                <td class="recorder-status">${recorded.has(key) ? '✓' : ''}</td>
+                <td class="recorder-buttons">
+                    <button class="btn btn-small" data-action="record">${recordingKey === key ? t('ui.reveal.stop') : t('ui.audioPack.record')}</button>
+                    <button class="btn btn-small" data-action="play" ${recorded.has(key) ? '' : 'disabled'}>${t('ui.reveal.play')}</button>
+                    <button class="btn btn-small" data-action="delete" ${recorded.has(key) ? '' : 'disabled'}>${t('ui.setup.delete')}</button>
+                </td>
+            </tr>
+        `).join('');
+    };
+
+    table.addEventListener('click', async (e) => {
+        const btn = e.target.closest('button');
+        if (!btn) return;
+        const key = btn.closest('tr').dataset.key;
+        try {
+            if (btn.dataset.action === 'record') {
+                if (recordingKey === key) {
+                    const blob = await recorder.stop();
+                    recordingKey = null;
+                    await audioPackManager.saveRecording(language, key, blob);
+                } else if (!recorder.isRecording()) {
+                    await recorder.start();
+                    recordingKey = key;
+                }
+            } else if (btn.dataset.action === 'play') {
+                const blob = await audioPackManager.getRecording(language, key);
+                if (blob) await audioPackManager.playUrl(URL.createObjectURL(blob));
+            } else if (btn.dataset.action === 'delete') {
+                await audioPackManager.deleteRecording(language, key);
+            }
+        } catch (error) {
+            console.error('Recorder error:', error);
+            recordingKey = null;
+        }
+        render();
+    });
+
+    render();
+
+    // Release the microphone when leaving the page mid-recording
+    workflowManager._cleanup = () => {
+        if (recorder.isRecording()) recorder.stop();
+    };
+}
+
+/**
+ * "Add a language" part of the Language page: import a translation file with its
+ * own voice tag, and list or remove the imported languages
+ * @param {HTMLElement} main
+ */
+function renderLanguageImport(main) {
+    const section = document.createElement('div');
+    section.className = 'language-import';
+    const imported = translationManager.getSupportedLanguages().filter(lang => lang.custom);
+    section.innerHTML = `
+        <h3>${t('ui.language.import.title')}</h3>
+        <p>${t('ui.language.import.intro')} <a href="/static/translations/en.json" download="en.json">${t('ui.language.import.template')}</a></p>
+        <div class="language-import-fields">
+            <label>${t('ui.language.import.code')} <input id="import-language-code" class="room-input" placeholder="fr"></label>
+            <label>${t('ui.language.import.name')} <input id="import-language-name" class="room-input" placeholder="Français"></label>
+            <label>${t('ui.language.import.voice')} <input id="import-language-voice" class="room-input" placeholder="fr-FR"></label>
+        </div>
+        <label class="btn" for="import-language-file">${t('ui.language.import.file')}</label>
+        <input type="file" id="import-language-file" accept=".json,application/json" hidden>
+        <p id="language-import-message" class="narration-note"></p>
+        ${imported.length === 0 ? '' : `
+            <p><strong>${t('ui.language.import.list')}</strong></p>
+            <ul class="language-import-list">
+                ${imported.map(lang => `
+                    <li>${escapeHtml(lang.name)} <code>${lang.code}</code> · ${lang.voice}
+                        <button class="btn btn-small" data-remove="${lang.code}">${t('ui.language.import.remove')}</button></li>
+                `).join('')}
+            </ul>
+        `}
+    `;
+    main.appendChild(section);
+
+    const message = section.querySelector('#language-import-message');
+    section.querySelector('#import-language-file').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const code = section.querySelector('#import-language-code').value;
+        try {
+            const result = await translationManager.importLanguage({
+                code,
+                name: section.querySelector('#import-language-name').value,
+                voice: section.querySelector('#import-language-voice').value || code
+            }, JSON.parse(await file.text()));
+
+            // Redraw so the new language is in the selector, then report on the new page
+            const notes = [t('ui.language.import.imported', { name: result.language.name })];
+            if (result.missing > 0) notes.push(t('ui.language.import.missing', { count: result.missing }));
+            if (result.ignored.length > 0) notes.push(t('ui.language.import.ignored', { count: result.ignored.length }));
+            renderContent('language');
+            document.getElementById('language-import-message').textContent = notes.join(' ');
+        } catch (error) {
+            message.textContent = t('ui.language.import.failed', { message: error.message });
+            message.classList.add('error');
+        }
+    });
+
+    section.querySelectorAll('[data-remove]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await translationManager.removeLanguage(btn.dataset.remove);
+            renderContent('language');
+        });
+    });
+}
+
+/**
+ * Settings page: which keys each translation file is missing (so the narrator
+ * switches to English), leaves empty or no longer needs
+ * @param {HTMLElement} main
+ */
+async function renderTranslationCoverageView(main) {
+    const title = document.createElement('h2');
+    title.textContent = t('ui.translations.title');
+    main.appendChild(title);
+
+    const description = document.createElement('p');
+    description.textContent = t('ui.translations.intro');
+    main.appendChild(description);
+
+    const result = document.createElement('div');
+    result.innerHTML = `<p>${t('ui.common.loading')}</p>`;
+    main.appendChild(result);
+
+    const languages = translationManager.getSupportedLanguages();
+    await Promise.all(languages.map(lang => translationManager.loadTranslations(lang.code)));
+    if (!result.isConnected) return;
+
+    // loadTranslations() falls back to English, so only count files that really loaded
+    const loaded = languages.filter(lang => translationManager.isLoaded(lang.code));
+    const dictionaries = {};
+    loaded.forEach(lang => {
+        dictionaries[lang.code] = translationManager.translations[lang.code];
+    });
+    if (!dictionaries.en) {
+        result.innerHTML = `<p>${t('ui.translations.notLoaded', { file: 'en.json' })}</p>`;
+        return;
+    }
+    const reports = translationCoverage.checkAll(dictionaries, roleCatalog.builtIn);
+
+    const keyList = (label, items) => items.length === 0 ? '' : `
+        <p><strong>${label}</strong></p>
+        <ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>
+    `;
+
+    result.innerHTML = `
+        <table class="pacing-table">
+            <thead><tr>
+                <th>${t('ui.translations.language')}</th>
+                <th>${t('ui.translations.missing')}</th>
+                <th>${t('ui.translations.empty')}</th>
+                <th>${t('ui.translations.extra')}</th>
+                <th></th>
+            </tr></thead>
+            <tbody>
+                ${languages.map(lang => {
+                    const report = reports[lang.code];
+                    if (!report) {
+                        return `<tr><td>${escapeHtml(lang.name)}</td><td colspan="4">${t('ui.translations.notLoaded', { file: `${lang.code}.json` })}</td></tr>`;
+                    }
+                    const ok = !translationCoverage.hasProblems(report);
+                    return `
+                        <tr>
+                            <td>${escapeHtml(lang.name)} <code>${lang.custom ? lang.code : `${lang.code}.json`}</code></td>
+                            <td>${report.missing.length}</td>
+                            <td>${report.empty.length}</td>
+                            <td>${report.extra.length}</td>
+                            <td class="${ok ? 'coverage-ok' : 'coverage-problem'}">${t(ok ? 'ui.translations.complete' : 'ui.translations.incomplete')}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+        ${loaded.map(lang => {
+            const report = reports[lang.code];
+            if (report.missing.length + report.empty.length + report.extra.length === 0) return '';
+            return `
+                <details class="coverage-details">
+                    <summary>${escapeHtml(lang.name)}</summary>
+                    ${keyList(t('ui.translations.missing'), report.missing.map(({ key, fallback }) =>
+                        `<code>${key}</code> (${t(fallback ? 'ui.translations.fallsBack' : 'ui.translations.noText')})`))}
+                    ${keyList(t('ui.translations.empty'), report.empty.map(key => `<code>${key}</code>`))}
+                    ${keyList(t('ui.translations.extra'), report.extra.map(key => `<code>${key}</code>`))}
+                </details>
+            `;
+        }).join('')}
+    `;
+}
+
+/**
+ * Settings page: whether the app is cached for offline use, and updates
+ * @param {HTMLElement} main
+ */
+function renderOfflineView(main) {
+    const title = document.createElement('h2');
+    title.textContent = t('ui.offline.title');
+    main.appendChild(title);
+
+    const description = document.createElement('p');
+    description.textContent = t('ui.offline.intro');
+    main.appendChild(description);
+
+    if (!OfflineCache.isSupported()) {
+        main.appendChild(createPlaceholderBox(t('ui.offline.unsupported')));
+        return;
+    }
+
+    const statusBox = document.createElement('div');
+    statusBox.className = 'response-box offline-status';
+    main.appendChild(statusBox);
+
+    const actions = document.createElement('div');
+    actions.className = 'offline-actions';
+    actions.innerHTML = `
+        <button class="btn btn-small" data-action="check">${t('ui.offline.check')}</button>
+        <button class="btn btn-small" data-action="reload">${t('ui.offline.reload')}</button>
+    `;
+    main.appendChild(actions);
+    const checkBtn = actions.querySelector('[data-action="check"]');
+    const reloadBtn = actions.querySelector('[data-action="reload"]');
+
+    let note = '';
+
+    const render = async () => {
+        const status = await offlineCache.status();
+        if (!statusBox.isConnected) return;
+
+        let text;
+        if (!status) {
+            text = t('ui.offline.caching');
+        } else if (status.cached < status.total) {
+            text = t('ui.offline.partly', { cached: status.cached, count: status.total });
+        } else {
+            text = t('ui.offline.cached', { count: status.total });
+        }
+        statusBox.innerHTML = `<p>${text}</p>`
+            + (offlineCache.updateAvailable ? `<p class="offline-update">${t('ui.offline.update')}</p>` : '')
+            + (note ? `<p>${note}</p>` : '');
+        reloadBtn.hidden = !offlineCache.updateAvailable;
+    };
+
+    checkBtn.addEventListener('click', async () => {
+        checkBtn.disabled = true;
+        note = t('ui.offline.checking');
+        render();
+        const result = await offlineCache.checkForUpdates();
+        if (!result) {
+            note = '';
+        } else if (result.offline) {
+            note = t('ui.offline.unreachable');
+        } else if (!result.changed && !offlineCache.updateAvailable) {
+            note = t('ui.offline.latest');
+        } else {
+            note = '';
+        }
+        checkBtn.disabled = false;
+        render();
+    });
+    reloadBtn.addEventListener('click', () => offlineCache.applyUpdate());
+
+    const unsubscribe = offlineCache.onChange(render);
+    workflowManager._cleanup = unsubscribe;
+    render();
 }
 
 function createPlaceholderBox(text) {
@@ -1549,10 +5845,64 @@ function generatePlaceholderRoles(n) {
 
 }
 
-document.addEventListener('DOMContentLoaded', () => {
+/**
+ * Translate the static parts of index.html (elements with data-i18n) and tag the
+ * page with the current language
+ */
+function translateStaticText() {
+    document.documentElement.lang = translationManager.getCurrentLanguage();
+    document.title = t('ui.app.title');
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // UI strings are looked up synchronously, so load them before the first render
+    await translationManager.loadLanguages();
+    await Promise.all([
+        translationManager.loadTranslations(translationManager.getCurrentLanguage()),
+        translationManager.loadTranslations('en')
+    ]);
+    translateStaticText();
     renderSidebar();
+    offlineCache.register();
+
+    // Pages re-render themselves after a language change; the frame follows here
+    translationManager.onLanguageChange(() => {
+        roleCatalog.localizeNames();
+        translateStaticText();
+        renderSidebar();
+    });
+
+    // Every page needs role names, images and timers
+    await roleCatalog.load();
+    // The service worker only knows the built-in roles' images
+    offlineCache.cacheUrls(roleCatalog.custom.map(role => role.img));
+
+    // Join links (/?room=CODE) open the player screen directly
+    const roomCode = new URLSearchParams(window.location.search).get('room');
+    if (roomCode) {
+        setActive('room-join');
+        renderContent('room-join');
+        return;
+    }
+
+    // Share links (#setup&...) pre-fill the Role Assignment page
+    const sharedSetup = parseShareLink(window.location.hash);
+    if (sharedSetup) {
+        applySharedSetup(sharedSetup);
+        return;
+    }
+
     // default select first item
     setActive('role-assignment');
     renderContent('role-assignment');
     console.log('Frontend menu initialized');
 });
+
+// A share link opened in a tab that already runs the app
+window.addEventListener('hashchange', () => {
+    const sharedSetup = parseShareLink(window.location.hash);
+    if (sharedSetup) applySharedSetup(sharedSetup);
+});
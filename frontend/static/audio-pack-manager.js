@@ -0,0 +1,306 @@
+/**
+ * Audio Pack Manager
+ * Plays pre-recorded announcement clips instead of text-to-speech.
+ *
+ * A pack is a folder under /static/audio/<pack id>/ with a manifest.json mapping
+ * translation keys to files per language. The built-in "recordings" pack holds the
+ * host's own narration, recorded in the browser and stored in IndexedDB.
+ * Keys without a clip fall back to text-to-speech.
+ */
+
+// Pack id meaning "no pack, always use text-to-speech"
+const TTS_PACK_ID = 'tts';
+
+// Pack id of the host's own recordings
+const RECORDINGS_PACK_ID = 'recordings';
+
+class AudioPackManager {
+    constructor() {
+        this.currentPackId = localStorage.getItem('audioPack') || TTS_PACK_ID;
+        this.manifests = {};      // Cache: { packId: manifest }
+        this.packList = null;     // Cache of /static/audio/packs.json
+        this._dbPromise = null;
+        this._currentAudio = null;
+        this._finishCurrent = null; // Settles the playUrl() promise of _currentAudio
+        this.lastClipStopped = false; // The last clip was cut off by stop()
+    }
+
+    /**
+     * List available packs: TTS only, the host's recordings, and server packs
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async getPacks() {
+        if (!this.packList) {
+            try {
+                const response = await fetch('/static/audio/packs.json');
+                this.packList = response.ok ? await response.json() : [];
+            } catch (error) {
+                console.warn('Could not load audio pack list:', error);
+                this.packList = [];
+            }
+        }
+        return [
+            { id: TTS_PACK_ID, name: translationManager.t('ui.audioPack.tts') },
+            { id: RECORDINGS_PACK_ID, name: translationManager.t('ui.audioPack.myRecordings') },
+            ...this.packList
+        ];
+    }
+
+    /**
+     * @returns {string}
+     */
+    getCurrentPack() {
+        return this.currentPackId;
+    }
+
+    /**
+     * Select a pack and remember it
+     * @param {string} packId
+     */
+    setPack(packId) {
+        this.currentPackId = packId;
+        localStorage.setItem('audioPack', packId);
+    }
+
+    /**
+     * Load a server pack's manifest:
+     * { "name": "...", "files": { "<lang>": { "<translation key>": "<file>" } } }
+     * @param {string} packId
+     * @returns {Promise<Object>}
+     */
+    async loadManifest(packId) {
+        if (this.manifests[packId]) return this.manifests[packId];
+        try {
+            const response = await fetch(`/static/audio/${packId}/manifest.json`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.manifests[packId] = await response.json();
+        } catch (error) {
+            console.warn(`Could not load audio pack '${packId}':`, error);
+            this.manifests[packId] = { files: {} };
+        }
+        return this.manifests[packId];
+    }
+
+    /**
+     * Find the clip for a key in the current pack
+     * @param {string} translationKey
+     * @param {string} languageCode
+     * @returns {Promise<string|null>} Playable URL, or null when the pack has no clip
+     */
+    async getClipUrl(translationKey, languageCode) {
+        if (this.currentPackId === TTS_PACK_ID) return null;
+
+        if (this.currentPackId === RECORDINGS_PACK_ID) {
+            const blob = await this.getRecording(languageCode, translationKey);
+            return blob ? URL.createObjectURL(blob) : null;
+        }
+
+        const manifest = await this.loadManifest(this.currentPackId);
+        const file = manifest.files?.[languageCode]?.[translationKey];
+        return file ? `/static/audio/${this.currentPackId}/${file}` : null;
+    }
+
+    /**
+     * Play the clip for a key
+     * @param {string} translationKey
+     * @param {string} languageCode
+     * @returns {Promise<boolean>} false when there is no clip (caller should use TTS)
+     */
+    async play(translationKey, languageCode) {
+        this.lastClipStopped = false;
+        const url = await this.getClipUrl(translationKey, languageCode);
+        if (!url) return false;
+        return this.playUrl(url);
+    }
+
+    /**
+     * Play an audio URL to the end
+     * @param {string} url
+     * @returns {Promise<boolean>} false if the clip could not be played or was stopped
+     */
+    playUrl(url) {
+        this.stop();
+        this.lastClipStopped = false;
+        const audio = new Audio(url);
+        this._currentAudio = audio;
+
+        return new Promise((resolve) => {
+            let settled = false;
+            const finish = (played) => {
+                if (settled) return;
+                settled = true;
+                if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+                if (this._currentAudio === audio) {
+                    this._currentAudio = null;
+                    this._finishCurrent = null;
+                }
+                resolve(played);
+            };
+            this._finishCurrent = finish;
+            audio.onended = () => finish(true);
+            audio.onerror = () => {
+                console.warn(`Could not play audio clip '${url}'`);
+                finish(false);
+            };
+            audio.play().catch((error) => {
+                console.warn('Audio playback failed:', error);
+                finish(false);
+            });
+        });
+    }
+
+    /**
+     * Stop the clip that is playing, if any; its playUrl() promise resolves with false
+     */
+    stop() {
+        if (this._currentAudio) {
+            this._currentAudio.pause();
+            this.lastClipStopped = true;
+            this._finishCurrent(false);
+        }
+    }
+
+    // --------------------------------------------------------
+    // Recordings (IndexedDB)
+    // --------------------------------------------------------
+
+    _openDb() {
+        if (this._dbPromise) return this._dbPromise;
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+            const request = indexedDB.open('werewolf-audio', 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('recordings');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this._dbPromise;
+    }
+
+    async _withStore(mode, operation) {
+        const db = await this._openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('recordings', mode);
+            const request = operation(tx.objectStore('recordings'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @param {string} languageCode
+     * @param {string} translationKey
+     * @param {Blob} blob
+     * @returns {Promise<void>}
+     */
+    async saveRecording(languageCode, translationKey, blob) {
+        await this._withStore('readwrite', store => store.put(blob, `${languageCode}:${translationKey}`));
+    }
+
+    /**
+     * @param {string} languageCode
+     * @param {string} translationKey
+     * @returns {Promise<Blob|null>}
+     */
+    async getRecording(languageCode, translationKey) {
+        try {
+            return (await this._withStore('readonly', store => store.get(`${languageCode}:${translationKey}`))) || null;
+        } catch (error) {
+            console.warn('Could not read recording:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} languageCode
+     * @param {string} translationKey
+     * @returns {Promise<void>}
+     */
+    async deleteRecording(languageCode, translationKey) {
+        await this._withStore('readwrite', store => store.delete(`${languageCode}:${translationKey}`));
+    }
+
+    /**
+     * Keys that have a recording in a language
+     * @param {string} languageCode
+     * @returns {Promise<Set<string>>}
+     */
+    async listRecordings(languageCode) {
+        try {
+            const keys = await this._withStore('readonly', store => store.getAllKeys());
+            const prefix = `${languageCode}:`;
+            return new Set(keys.filter(k => k.startsWith(prefix)).map(k => k.slice(prefix.length)));
+        } catch (error) {
+            console.warn('Could not list recordings:', error);
+            return new Set();
+        }
+    }
+}
+
+/**
+ * Records narration clips from the microphone with MediaRecorder
+ */
+class NarrationRecorder {
+    constructor() {
+        this._recorder = null;
+        this._chunks = [];
+        this._stream = null;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isRecording() {
+        return !!this._recorder && this._recorder.state === 'recording';
+    }
+
+    /**
+     * Ask for the microphone and start recording
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this._stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this._chunks = [];
+        this._recorder = new MediaRecorder(this._stream);
+        this._recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) this._chunks.push(event.data);
+        };
+        this._recorder.start();
+    }
+
+    /**
+     * Stop recording and release the microphone
+     * @returns {Promise<Blob>} The recorded clip
+     */
+    stop() {
+        return new Promise((resolve) => {
+            const recorder = this._recorder;
+            if (!recorder) {
+                resolve(new Blob());
+                return;
+            }
+            recorder.onstop = () => {
+                const blob = new Blob(this._chunks, { type: recorder.mimeType || 'audio/webm' });
+                this._stream.getTracks().forEach(track => track.stop());
+                this._recorder = null;
+                this._stream = null;
+                resolve(blob);
+            };
+            recorder.stop();
+        });
+    }
+}
+
+// Global instance
+const audioPackManager = new AudioPackManager();
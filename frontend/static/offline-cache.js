@@ -0,0 +1,118 @@
+/**
+ * Offline Cache
+ * Registers the service worker (/sw.js) that keeps the app, role images (custom
+ * roles' too) and translations cached, and reports whether they are cached or outdated.
+ */
+
+class OfflineCache {
+    constructor() {
+        this.updateAvailable = false;
+        this.listeners = [];      // Called with no arguments when the state changes
+        this._pending = {};       // { messageType: [resolve, ...] } awaiting a worker reply
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return 'serviceWorker' in navigator;
+    }
+
+    /**
+     * Register the service worker; failures only cost offline support
+     * @returns {Promise<void>}
+     */
+    async register() {
+        if (!OfflineCache.isSupported()) return;
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const message = event.data || {};
+            if (message.type === 'update-available') {
+                this.updateAvailable = true;
+                this._notify();
+            }
+            const waiting = this._pending[message.type] || [];
+            delete this._pending[message.type];
+            waiting.forEach(resolve => resolve(message));
+        });
+        // The first install finished caching and took over this page
+        navigator.serviceWorker.addEventListener('controllerchange', () => this._notify());
+
+        try {
+            await navigator.serviceWorker.register('/sw.js');
+        } catch (error) {
+            console.warn('Could not register the service worker:', error);
+        }
+    }
+
+    /**
+     * How much of the app is cached
+     * @returns {Promise<{version: number, cached: number, total: number}|null>} null without a service worker
+     */
+    status() {
+        return this._ask({ type: 'status' }, 'status');
+    }
+
+    /**
+     * Ask the service worker to fetch every cached file again
+     * @returns {Promise<{changed: boolean, offline: boolean}|null>} null without a service worker
+     */
+    checkForUpdates() {
+        return this._ask({ type: 'check-updates' }, 'checked');
+    }
+
+    /**
+     * Keep files the service worker does not know about cached too, e.g. the images
+     * of custom roles. Only files from this server are kept.
+     * @param {string[]} urls
+     * @returns {Promise<void>}
+     */
+    async cacheUrls(urls) {
+        if (!OfflineCache.isSupported() || urls.length === 0) return;
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage({ type: 'cache-urls', urls });
+    }
+
+    /**
+     * Subscribe to changes of updateAvailable
+     * @param {Function} listener
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Reload the page so the updated files are used
+     */
+    applyUpdate() {
+        window.location.reload();
+    }
+
+    async _ask(message, replyType) {
+        if (!OfflineCache.isSupported()) return null;
+        const registration = await navigator.serviceWorker.getRegistration();
+        const worker = registration?.active;
+        if (!worker) return null;
+        return new Promise((resolve) => {
+            (this._pending[replyType] = this._pending[replyType] || []).push(resolve);
+            worker.postMessage(message);
+        });
+    }
+
+    _notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Offline cache listener failed:', error);
+            }
+        });
+    }
+}
+
+// Global instance
+const offlineCache = new OfflineCache();
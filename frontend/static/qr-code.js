@@ -0,0 +1,402 @@
+/**
+ * QR Code encoder
+ * Builds QR codes (byte mode, versions 1-40) entirely in the browser so setup
+ * links can be scanned by other phones without any server or network access.
+ * Follows ISO/IEC 18004: Reed-Solomon error correction, block interleaving and
+ * automatic mask selection.
+ */
+
+// Error correction levels: format bits and table row
+const QR_ECC_LEVELS = {
+    L: { formatBits: 1, row: 0 },   // ~7% of the code can be damaged
+    M: { formatBits: 0, row: 1 }    // ~15%
+};
+
+// Error correction codewords per block, indexed by [level row][version]
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28]
+];
+
+// Number of error correction blocks, indexed by [level row][version]
+const QR_NUM_ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+];
+
+// Penalty weights used to pick the mask
+const QR_PENALTY_N1 = 3;
+const QR_PENALTY_N2 = 3;
+const QR_PENALTY_N3 = 40;
+const QR_PENALTY_N4 = 10;
+
+const QrCode = {
+    /**
+     * Encode text as a QR code
+     * @param {string} text - Encoded as UTF-8
+     * @param {string} [eccLevel='M'] - 'L' or 'M'
+     * @returns {{version: number, size: number, modules: boolean[][]}} modules[y][x], true = dark
+     */
+    encode(text, eccLevel = 'M') {
+        const ecl = QR_ECC_LEVELS[eccLevel];
+        if (!ecl) throw new Error(`Unsupported error correction level '${eccLevel}'`);
+
+        const bytes = Array.from(new TextEncoder().encode(text));
+
+        // Smallest version that fits: 4 mode bits + character count + 8 bits per byte
+        let version = 1;
+        let capacityBits = 0;
+        for (; version <= 40; version++) {
+            capacityBits = this._numDataCodewords(version, ecl) * 8;
+            const countBits = version <= 9 ? 8 : 16;
+            if (bytes.length < (1 << countBits) && 4 + countBits + bytes.length * 8 <= capacityBits) break;
+        }
+        if (version > 40) throw new Error('Text is too long for a QR code');
+
+        // Data bit stream: byte mode indicator, length, data, terminator, padding
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        appendBits(0x4, 4);
+        appendBits(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(b => appendBits(b, 8));
+        appendBits(0, Math.min(4, capacityBits - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
+        }
+
+        const dataCodewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            dataCodewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+        }
+
+        const matrix = this._createMatrix(version);
+        this._drawFunctionPatterns(matrix, version);
+        this._drawCodewords(matrix, this._addEccAndInterleave(dataCodewords, version, ecl));
+
+        // Try all masks and keep the one with the lowest penalty
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this._applyMask(matrix, mask);
+            this._drawFormatBits(matrix, ecl, mask);
+            const penalty = this._penalty(matrix.modules);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this._applyMask(matrix, mask); // XOR again to undo
+        }
+        this._applyMask(matrix, bestMask);
+        this._drawFormatBits(matrix, ecl, bestMask);
+
+        return { version, size: matrix.size, modules: matrix.modules };
+    },
+
+    /**
+     * Render a QR code as an SVG string
+     * @param {{size: number, modules: boolean[][]}} qr
+     * @param {number} [border=4] - Quiet zone in modules
+     * @returns {string}
+     */
+    toSvg(qr, border = 4) {
+        const dim = qr.size + border * 2;
+        const parts = [];
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (qr.modules[y][x]) parts.push(`M${x + border},${y + border}h1v1h-1z`);
+            }
+        }
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${parts.join('')}" fill="#000"/></svg>`;
+    },
+
+    // --------------------------------------------------------
+    // Capacity
+    // --------------------------------------------------------
+
+    _numRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    },
+
+    _numDataCodewords(version, ecl) {
+        return Math.floor(this._numRawDataModules(version) / 8) -
+            QR_ECC_CODEWORDS_PER_BLOCK[ecl.row][version] * QR_NUM_ECC_BLOCKS[ecl.row][version];
+    },
+
+    _alignmentPositions(version) {
+        if (version === 1) return [];
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    },
+
+    // --------------------------------------------------------
+    // Matrix and function patterns
+    // --------------------------------------------------------
+
+    _createMatrix(version) {
+        const size = version * 4 + 17;
+        const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+        return { size, modules: grid(), isFunction: grid() };
+    },
+
+    _setFunction(matrix, x, y, dark) {
+        matrix.modules[y][x] = dark;
+        matrix.isFunction[y][x] = true;
+    },
+
+    _drawFunctionPatterns(matrix, version) {
+        const size = matrix.size;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this._setFunction(matrix, 6, i, i % 2 === 0);
+            this._setFunction(matrix, i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    this._setFunction(matrix, x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = this._alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this._setFunction(matrix, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas (drawn per mask) and the dark module
+        this._drawFormatBits(matrix, QR_ECC_LEVELS.M, 0);
+
+        // Version information
+        if (version >= 7) {
+            let rem = version;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = (version << 12) | rem;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this._setFunction(matrix, a, b, dark);
+                this._setFunction(matrix, b, a, dark);
+            }
+        }
+    },
+
+    _drawFormatBits(matrix, ecl, mask) {
+        const size = matrix.size;
+        const data = (ecl.formatBits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) this._setFunction(matrix, 8, i, bit(i));
+        this._setFunction(matrix, 8, 7, bit(6));
+        this._setFunction(matrix, 8, 8, bit(7));
+        this._setFunction(matrix, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this._setFunction(matrix, 14 - i, 8, bit(i));
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) this._setFunction(matrix, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this._setFunction(matrix, 8, size - 15 + i, bit(i));
+        this._setFunction(matrix, 8, size - 8, true);
+    },
+
+    // --------------------------------------------------------
+    // Error correction
+    // --------------------------------------------------------
+
+    _gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    _reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this._gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this._gfMultiply(root, 0x02);
+        }
+        return result;
+    },
+
+    _reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= this._gfMultiply(coef, factor);
+            });
+        });
+        return result;
+    },
+
+    _addEccAndInterleave(data, version, ecl) {
+        const numBlocks = QR_NUM_ECC_BLOCKS[ecl.row][version];
+        const blockEccLen = QR_ECC_CODEWORDS_PER_BLOCK[ecl.row][version];
+        const rawCodewords = Math.floor(this._numRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+        const divisor = this._reedSolomonDivisor(blockEccLen);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dataLen = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(k, k + dataLen);
+            k += dataLen;
+            const ecc = this._reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0); // Placeholder, skipped below
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    },
+
+    // --------------------------------------------------------
+    // Data placement and masking
+    // --------------------------------------------------------
+
+    _drawCodewords(matrix, codewords) {
+        const size = matrix.size;
+        let i = 0;
+        // Two-module wide columns, right to left, zigzagging up and down
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!matrix.isFunction[y][x] && i < codewords.length * 8) {
+                        matrix.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    },
+
+    _applyMask(matrix, mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        const invert = conditions[mask];
+        for (let y = 0; y < matrix.size; y++) {
+            for (let x = 0; x < matrix.size; x++) {
+                if (!matrix.isFunction[y][x] && invert(x, y)) {
+                    matrix.modules[y][x] = !matrix.modules[y][x];
+                }
+            }
+        }
+    },
+
+    _penalty(modules) {
+        const size = modules.length;
+        let penalty = 0;
+
+        // Rows and columns as lines of modules
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        const finderLike = [true, false, true, true, true, false, true];
+        lines.forEach(line => {
+            // Runs of five or more modules of the same color
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += QR_PENALTY_N1 + runLength - 5;
+                    runLength = 1;
+                }
+            }
+
+            // Finder-like patterns with four light modules on one side
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+                const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+                const lightAfter = i + 11 <= size && [7, 8, 9, 10].every(k => !line[i + k]);
+                if (lightBefore || lightAfter) penalty += QR_PENALTY_N3;
+            }
+        });
+
+        // 2x2 blocks of the same color
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += QR_PENALTY_N2;
+                    }
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        penalty += Math.max(0, k) * QR_PENALTY_N4;
+
+        return penalty;
+    }
+};
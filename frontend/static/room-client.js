@@ -0,0 +1,199 @@
+/**
+ * Room Client
+ * Connects the host device and the players' phones to a game room over WebSockets.
+ * The host stays authoritative: it sends each player their card, night prompts and
+ * vote requests; players only answer back to the host.
+ */
+
+class RoomClient {
+    constructor() {
+        this.socket = null;
+        this.code = null;
+        this.mode = null;       // 'host' | 'player'
+        this.playerId = null;   // Set for players once welcomed
+        this.players = [];      // Host only: [{ id, name, connected }] in join order (= seat order)
+        this.hostTokens = {};   // { roomCode: token } for the rooms this device created
+        this.handlers = {};     // { eventType: [handler, ...] }
+    }
+
+    /**
+     * Create a new room on the server. Only this device gets the room's host token.
+     * @returns {Promise<string>} Room code
+     */
+    async createRoom() {
+        const response = await fetch('/api/rooms', { method: 'POST' });
+        if (!response.ok) {
+            throw new Error(translationManager.t('ui.room.error.create', { status: response.status }));
+        }
+        const room = await response.json();
+        this.hostTokens[room.code] = room.host_token;
+        return room.code;
+    }
+
+    /**
+     * Connect this device as the host of a room it created
+     * @param {string} code
+     * @returns {Promise<void>} Resolves once connected
+     */
+    connectAsHost(code) {
+        this.mode = 'host';
+        this.players = [];
+        const query = new URLSearchParams({ token: this.hostTokens[code.toUpperCase()] || '' });
+        return this._connect(`/ws/rooms/${encodeURIComponent(code)}/host?${query}`, code);
+    }
+
+    /**
+     * Connect this device as a player. The player id is remembered so a phone
+     * that drops off the network gets its seat back when it reconnects.
+     * @param {string} code
+     * @param {string} name
+     * @returns {Promise<void>} Resolves once connected
+     */
+    connectAsPlayer(code, name) {
+        this.mode = 'player';
+        const savedId = localStorage.getItem(`roomPlayer:${code.toUpperCase()}`) || '';
+        const query = new URLSearchParams({ name, player_id: savedId });
+        return this._connect(`/ws/rooms/${encodeURIComponent(code)}/player?${query}`, code);
+    }
+
+    _connect(path, code) {
+        this.disconnect();
+        this.code = code.toUpperCase();
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socket = new WebSocket(`${protocol}//${window.location.host}${path}`);
+        this.socket = socket;
+
+        return new Promise((resolve, reject) => {
+            socket.onopen = () => resolve();
+            socket.onerror = () => reject(new Error(translationManager.t('ui.room.error.connect')));
+            socket.onclose = (event) => {
+                if (this.socket === socket) {
+                    this.socket = null;
+                }
+                this._emit('disconnected', { notFound: event.code === 4404 });
+            };
+            socket.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.warn('Invalid room message:', event.data);
+                    return;
+                }
+                this._handleMessage(message);
+            };
+        });
+    }
+
+    _handleMessage(message) {
+        switch (message.type) {
+            case 'room':
+                this.players = message.room.players;
+                break;
+            case 'welcome':
+                this.playerId = message.player.id;
+                localStorage.setItem(`roomPlayer:${this.code}`, this.playerId);
+                break;
+            case 'player_joined':
+            case 'player_left': {
+                const existing = this.players.find(p => p.id === message.player.id);
+                if (existing) {
+                    Object.assign(existing, message.player);
+                } else {
+                    this.players.push(message.player);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+        this._emit(message.type, message);
+    }
+
+    /**
+     * Leave the room. Leaving on purpose does not emit 'disconnected'.
+     */
+    disconnect() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.onclose = null;
+            socket.onmessage = null;
+            socket.close();
+        }
+        this.code = null;
+        this.playerId = null;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isConnected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * @returns {boolean} true when this device hosts a room with players in it
+     */
+    isHosting() {
+        return this.mode === 'host' && this.isConnected();
+    }
+
+    /**
+     * Host only: send a payload to one player (by seat) or to everybody
+     * @param {number|'all'} seat - Zero-based seat index (join order) or 'all'
+     * @param {Object} payload
+     */
+    sendToSeat(seat, payload) {
+        if (!this.isHosting()) return;
+        const to = seat === 'all' ? 'all' : this.players[seat]?.id;
+        if (!to) return;
+        this.socket.send(JSON.stringify({ type: 'send', to, payload }));
+    }
+
+    /**
+     * Host only: seat index of a player id
+     * @param {string} playerId
+     * @returns {number} -1 when unknown
+     */
+    getSeat(playerId) {
+        return this.players.findIndex(p => p.id === playerId);
+    }
+
+    /**
+     * Player only: send a payload to the host
+     * @param {Object} payload
+     */
+    sendToHost(payload) {
+        if (this.mode !== 'player' || !this.isConnected()) return;
+        this.socket.send(JSON.stringify({ payload }));
+    }
+
+    /**
+     * Subscribe to a room event ('room', 'welcome', 'player_joined', 'player_left',
+     * 'from_player', 'host_message', 'host_joined', 'host_left', 'disconnected')
+     * @param {string} type
+     * @param {Function} handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        (this.handlers[type] = this.handlers[type] || []).push(handler);
+        return () => {
+            this.handlers[type] = this.handlers[type].filter(h => h !== handler);
+        };
+    }
+
+    _emit(type, message) {
+        (this.handlers[type] || []).forEach(handler => {
+            try {
+                handler(message);
+            } catch (error) {
+                console.error(`Room handler for '${type}' failed:`, error);
+            }
+        });
+    }
+}
+
+// Global instance
+const roomClient = new RoomClient();
@@ -0,0 +1,138 @@
+/**
+ * Translation Coverage
+ * Compares each translation file with en.json and with the keys the app requests
+ * (role announcements, Doppelgänger variants, system announcements, role names and
+ * rules), reporting missing, extra and empty keys.
+ * Used by Settings → Translations and by scripts/check-translations.js (Node).
+ */
+
+// Roles whose night action the Doppelgänger performs later, right after the original role
+// (the Minion's right after the Doppelgänger's own phase)
+// (announced with 'doppelganger-<id>' / 'doppelganger-<id>_end')
+const DOPPELGANGER_FOLLOW_UP_ROLE_IDS = ['minion', 'insomniac', 'revealer', 'curator'];
+
+// Announcements played outside of a role's turn
+const SYSTEM_ANNOUNCEMENT_KEYS = [
+    'all_open_eyes',
+    'discussion_end',
+    'winner_village',
+    'winner_werewolf',
+    'winner_vampire',
+    'winner_alien',
+    'winner_villain',
+    'winner_tanner',
+    'winner_apprentice-tanner',
+    'winner_none'
+];
+
+const PLURAL_KEY_PATTERN = /^(.+)_(zero|one|two|few|many|other)$/;
+
+const translationCoverage = {
+    /**
+     * Keys the app requests for the built-in roles, whether or not en.json has them
+     * @param {Array<Object>} roles - Entries of roles.json
+     * @returns {Array<string>}
+     */
+    getRequestedKeys(roles) {
+        const keys = new Set(SYSTEM_ANNOUNCEMENT_KEYS);
+        const roleIds = roles.map(role => role.id);
+        roles.forEach(role => {
+            keys.add(role.id);
+            keys.add(`role.name.${role.id}`);
+            if (role.wakeup) keys.add(`${role.id}_end`);
+            if (role.rulesKey) keys.add(role.rulesKey);
+            keys.add(`win_${role.team}`);
+        });
+        if (roleIds.includes('doppelganger')) {
+            DOPPELGANGER_FOLLOW_UP_ROLE_IDS
+                .filter(id => roleIds.includes(id))
+                .forEach(id => {
+                    keys.add(`doppelganger-${id}`);
+                    keys.add(`doppelganger-${id}_end`);
+                });
+        }
+        return [...keys];
+    },
+
+    /**
+     * Plural forms a language needs: those the counts shown in the app (0-100) can
+     * select, plus 'other' which t() falls back to
+     * @param {string} languageCode
+     * @returns {Array<string>}
+     */
+    getPluralForms(languageCode) {
+        const rules = new Intl.PluralRules(languageCode);
+        const forms = new Set(['other']);
+        for (let n = 0; n <= 100; n++) forms.add(rules.select(n));
+        return [...forms];
+    },
+
+    /**
+     * Check one translation file
+     * @param {Object} dictionary - Parsed translation file
+     * @param {string} languageCode
+     * @param {Object} reference - Parsed en.json
+     * @param {Array<string>} requestedKeys - From getRequestedKeys()
+     * @returns {{missing: Array<{key: string, fallback: boolean}>, extra: Array<string>, empty: Array<string>}}
+     *   `fallback` tells whether the app still shows a text (English, or the '_other' plural form)
+     */
+    check(dictionary, languageCode, reference, requestedKeys) {
+        const referenceKeys = [...new Set([...Object.keys(reference), ...requestedKeys])];
+
+        // '<base>_one', '<base>_other', … are one plural group; each language needs its own forms
+        const pluralBases = new Set(referenceKeys
+            .map(key => key.match(PLURAL_KEY_PATTERN))
+            .filter(match => match && referenceKeys.includes(`${match[1]}_other`))
+            .map(match => match[1]));
+        const isPluralForm = key => pluralBases.has(key.match(PLURAL_KEY_PATTERN)?.[1]);
+
+        const expected = referenceKeys.filter(key => !isPluralForm(key));
+        const forms = this.getPluralForms(languageCode);
+        pluralBases.forEach(base => forms.forEach(form => expected.push(`${base}_${form}`)));
+
+        const allForms = new Intl.PluralRules(languageCode).resolvedOptions().pluralCategories;
+        const isKnown = key => expected.includes(key)
+            || (isPluralForm(key) && allForms.includes(key.match(PLURAL_KEY_PATTERN)[2]));
+        const hasText = (dict, key) => typeof dict[key] === 'string' && dict[key].trim() !== '';
+
+        return {
+            missing: expected
+                .filter(key => !(key in dictionary))
+                .map(key => ({
+                    key,
+                    fallback: isPluralForm(key) || (languageCode !== 'en' && hasText(reference, key))
+                })),
+            extra: Object.keys(dictionary).filter(key => !isKnown(key)),
+            empty: Object.keys(dictionary).filter(key => !hasText(dictionary, key))
+        };
+    },
+
+    /**
+     * Check every translation file
+     * @param {Object} dictionaries - { languageCode: parsed file }, must include 'en'
+     * @param {Array<Object>} roles - Entries of roles.json
+     * @returns {Object} { languageCode: result of check() }
+     */
+    checkAll(dictionaries, roles) {
+        const requestedKeys = this.getRequestedKeys(roles);
+        const reports = {};
+        Object.entries(dictionaries).forEach(([languageCode, dictionary]) => {
+            reports[languageCode] = this.check(dictionary, languageCode, dictionaries.en, requestedKeys);
+        });
+        return reports;
+    },
+
+    /**
+     * Whether a report has problems that change what players see or hear
+     * @param {Object} report - Result of check()
+     * @returns {boolean}
+     */
+    hasProblems(report) {
+        return report.missing.length > 0 || report.empty.length > 0;
+    }
+};
+
+// Node (scripts/check-translations.js); in the browser this file only defines globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { translationCoverage, DOPPELGANGER_FOLLOW_UP_ROLE_IDS, SYSTEM_ANNOUNCEMENT_KEYS };
+}
@@ -1,28 +1,119 @@
 /**
  * Translation Manager with lazy loading support
- * Manages multilingual announcements for role cards
+ * Manages multilingual announcements for role cards and the UI strings
+ * ('ui.*' and 'role.name.*' keys, read synchronously with t())
+ *
+ * Bundled languages are listed in /static/translations/languages.json; languages
+ * imported on Settings → Language are kept in localStorage ('customLanguages').
  */
 
+// Used until languages.json is loaded, and when it cannot be
+const FALLBACK_LANGUAGES = [{ code: 'en', name: 'English', voice: 'en-US' }];
+
+// Imported texts end up in the page as HTML, so they may not contain markup
+const MARKUP_PATTERN = /[<>]/;
+
+// Speech settings used until a language has saved ones
+const DEFAULT_VOICE_SETTINGS = {
+    voiceURI: null,   // null = best match for the language
+    rate: 0.9,        // Slightly slower for clarity
+    pitch: 1.0,
+    volume: 1.0
+};
+
 class TranslationManager {
     constructor() {
         this.translations = {}; // Cache: { 'en': {...}, 'es': {...} }
         this.currentLanguage = this.loadSavedLanguage();
-        this.supportedLanguages = [
-            { code: 'en', name: 'English', voice: 'en-US' },
-            { code: 'es', name: 'Español', voice: 'es-ES' },
-            { code: 'zh', name: '中文', voice: 'zh-CN' },
-            { code: 'de', name: 'Deutsch', voice: 'de-DE' }
-        ];
+        this.bundledLanguages = FALLBACK_LANGUAGES;
+        this.customLanguages = this.loadCustomLanguages(); // [{ code, name, voice, translations }]
+        this.languagesPromise = null;
         this.loadingPromises = {}; // Track in-flight requests
+        this.languageListeners = []; // Called with the new language code after setLanguage()
+    }
+
+    /**
+     * Bundled and imported languages
+     * @returns {Array<{code: string, name: string, voice: string, custom?: boolean}>}
+     */
+    get supportedLanguages() {
+        return [
+            ...this.bundledLanguages,
+            ...this.customLanguages.map(({ code, name, voice }) => ({ code, name, voice, custom: true }))
+        ];
+    }
+
+    /**
+     * Load the list of bundled languages from languages.json (once)
+     * @returns {Promise<void>}
+     */
+    loadLanguages() {
+        if (!this.languagesPromise) {
+            this.languagesPromise = fetch('/static/translations/languages.json')
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Failed to load the language list');
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    if (Array.isArray(data.languages) && data.languages.length > 0) {
+                        this.bundledLanguages = data.languages;
+                    }
+                })
+                .catch(error => {
+                    console.error('Error loading languages.json:', error);
+                })
+                .then(() => {
+                    // The saved language may have been removed since the last visit
+                    if (!this.supportedLanguages.some(lang => lang.code === this.currentLanguage)) {
+                        this.currentLanguage = 'en';
+                    }
+                });
+        }
+        return this.languagesPromise;
+    }
+
+    /**
+     * Load imported languages from localStorage
+     * @returns {Array<Object>}
+     */
+    loadCustomLanguages() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem('customLanguages')) || [];
+        } catch (error) {
+            return [];
+        }
+        if (!Array.isArray(stored)) return [];
+        // Languages imported before texts were checked for markup are dropped
+        return stored.filter(lang => {
+            const valid = lang && typeof lang.name === 'string' && !MARKUP_PATTERN.test(lang.name)
+                && lang.translations && typeof lang.translations === 'object'
+                && this.findInvalidText(lang.translations) === undefined;
+            if (!valid) console.warn(`Ignoring invalid imported language '${lang?.code}'`);
+            return valid;
+        });
+    }
+
+    /**
+     * Find a value that is not a plain text (not a string, or contains markup)
+     * @param {Object} translations
+     * @returns {string|undefined} Its key
+     */
+    findInvalidText(translations) {
+        return Object.keys(translations)
+            .find(key => typeof translations[key] !== 'string' || MARKUP_PATTERN.test(translations[key]));
     }
 
     /**
      * Get the BCP-47 language tag to use for SpeechSynthesisUtterance.lang
+     * @param {string} [languageCode] - Defaults to the current language
      * @returns {string}
      */
-    getSpeechLang() {
+    getSpeechLang(languageCode = this.currentLanguage) {
         const langConfig = this.supportedLanguages.find(
-            lang => lang.code === this.currentLanguage
+            lang => lang.code === languageCode
         );
 
         return langConfig?.voice || 'en-US';
@@ -40,6 +131,7 @@ class TranslationManager {
      * @param {string} languageCode - Language code (e.g., 'en', 'es', 'zh')
      */
     async setLanguage(languageCode) {
+        await this.loadLanguages();
         const isSupported = this.supportedLanguages.some(
             lang => lang.code === languageCode
         );
@@ -54,6 +146,58 @@ class TranslationManager {
 
         // Preload translations if not already loaded
         await this.loadTranslations(languageCode);
+
+        this.languageListeners.forEach(listener => {
+            try {
+                listener(languageCode);
+            } catch (error) {
+                console.error('Language change listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to language changes, e.g. to re-render the UI
+     * @param {Function} listener - Called with the new language code
+     * @returns {Function} Unsubscribe function
+     */
+    onLanguageChange(listener) {
+        this.languageListeners.push(listener);
+        return () => {
+            this.languageListeners = this.languageListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Second narration language, read right after the current one (bilingual
+     * narration); null when it is off or the same as the current language
+     * @returns {string|null}
+     */
+    getSecondaryLanguage() {
+        const code = localStorage.getItem('secondaryLanguage');
+        const isSupported = this.supportedLanguages.some(lang => lang.code === code);
+        return isSupported && code !== this.currentLanguage ? code : null;
+    }
+
+    /**
+     * @param {string|null} languageCode - null turns bilingual narration off
+     */
+    setSecondaryLanguage(languageCode) {
+        if (languageCode) {
+            localStorage.setItem('secondaryLanguage', languageCode);
+            this.loadTranslations(languageCode);
+        } else {
+            localStorage.removeItem('secondaryLanguage');
+        }
+    }
+
+    /**
+     * Languages every announcement is read in, in order
+     * @returns {Array<string>}
+     */
+    getNarrationLanguages() {
+        const secondary = this.getSecondaryLanguage();
+        return secondary ? [this.currentLanguage, secondary] : [this.currentLanguage];
     }
 
     /**
@@ -65,8 +209,8 @@ class TranslationManager {
     }
 
     /**
-     * Get list of supported languages
-     * @returns {Array<{code: string, name: string, voice: string}>}
+     * Get list of supported languages (call loadLanguages() first)
+     * @returns {Array<{code: string, name: string, voice: string, custom?: boolean}>}
      */
     getSupportedLanguages() {
         return this.supportedLanguages;
@@ -88,6 +232,13 @@ class TranslationManager {
             return this.loadingPromises[languageCode];
         }
 
+        // Imported languages are stored with their translations
+        const custom = this.customLanguages.find(lang => lang.code === languageCode);
+        if (custom) {
+            this.translations[languageCode] = custom.translations;
+            return custom.translations;
+        }
+
         // Start loading
         this.loadingPromises[languageCode] = fetch(
             `/static/translations/${languageCode}.json`
@@ -118,19 +269,102 @@ class TranslationManager {
         return this.loadingPromises[languageCode];
     }
 
+    /**
+     * Import a translation file for a language that is not bundled. Values must be
+     * plain texts (no markup) and are checked against the English key set: unknown
+     * keys are dropped, missing ones fall back to English. Importing a code again
+     * replaces it.
+     * @param {{code: string, name: string, voice: string}} language - voice is a BCP-47 tag (e.g. 'fr-FR')
+     * @param {Object} data - Parsed JSON in the format of en.json
+     * @returns {Promise<{language: Object, missing: number, ignored: Array<string>}>}
+     * @throws {Error} When the language or the file is invalid; nothing is imported then
+     */
+    async importLanguage(language, data) {
+        await this.loadLanguages();
+        const english = await this.loadTranslations('en');
+
+        const canonical = tag => {
+            try {
+                return Intl.getCanonicalLocales(tag.trim())[0];
+            } catch (error) {
+                return null;
+            }
+        };
+        const code = canonical(language.code || '');
+        if (!code) {
+            throw new Error(this.t('ui.language.import.error.code'));
+        }
+        if (this.bundledLanguages.some(lang => lang.code.toLowerCase() === code.toLowerCase())) {
+            throw new Error(this.t('ui.language.import.error.bundled', { code }));
+        }
+        const name = (language.name || '').trim();
+        if (!name || MARKUP_PATTERN.test(name)) {
+            throw new Error(this.t('ui.language.import.error.name'));
+        }
+        const voice = canonical(language.voice || '');
+        if (!voice) {
+            throw new Error(this.t('ui.language.import.error.voice'));
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(this.t('ui.language.import.error.format'));
+        }
+        const badKey = this.findInvalidText(data);
+        if (badKey !== undefined) {
+            throw new Error(this.t('ui.language.import.error.value', { key: badKey }));
+        }
+        const report = translationCoverage.check(data, code, english, []);
+        const translations = {};
+        Object.keys(data)
+            .filter(key => !report.extra.includes(key))
+            .forEach(key => {
+                translations[key] = data[key];
+            });
+        if (Object.keys(translations).length === 0) {
+            throw new Error(this.t('ui.language.import.error.noKeys'));
+        }
+
+        const imported = { code, name, voice, translations };
+        const customLanguages = [...this.customLanguages.filter(lang => lang.code !== code), imported];
+        try {
+            localStorage.setItem('customLanguages', JSON.stringify(customLanguages));
+        } catch (error) {
+            throw new Error(this.t('ui.language.import.error.storage'));
+        }
+        this.customLanguages = customLanguages;
+        this.translations[code] = translations;
+
+        return { language: { code, name, voice }, missing: report.missing.length, ignored: report.extra };
+    }
+
+    /**
+     * Remove an imported language; switches to English when it is the current one
+     * @param {string} languageCode
+     * @returns {Promise<void>}
+     */
+    async removeLanguage(languageCode) {
+        this.customLanguages = this.customLanguages.filter(lang => lang.code !== languageCode);
+        localStorage.setItem('customLanguages', JSON.stringify(this.customLanguages));
+        delete this.translations[languageCode];
+        if (this.currentLanguage === languageCode) {
+            await this.setLanguage('en');
+        }
+    }
+
     /**
      * Get translated announcement for a role
      * @param {string} roleId - Role identifier (e.g., 'werewolf', 'seer')
+     * @param {string} [languageCode] - Defaults to the current language
      * @returns {Promise<string>} Translated announcement
      */
-    async get(roleId) {
-        // Ensure current language is loaded
-        await this.loadTranslations(this.currentLanguage);
+    async get(roleId, languageCode = this.currentLanguage) {
+        // Ensure the language is loaded
+        await this.loadTranslations(languageCode);
 
-        const translation = this.translations[this.currentLanguage]?.[roleId];
+        const translation = this.translations[languageCode]?.[roleId];
 
         // Fallback to English if translation missing
-        if (!translation && this.currentLanguage !== 'en') {
+        if (!translation && languageCode !== 'en') {
             await this.loadTranslations('en');
             return this.translations['en']?.[roleId] || '';
         }
@@ -139,15 +373,123 @@ class TranslationManager {
     }
 
     /**
-     * Get the best matching voice for current language
+     * Translate a UI string synchronously from the loaded translations, falling back
+     * to English and then to the key itself. `{name}` placeholders are replaced from
+     * `params`; with a numeric `params.count` the plural form '<key>_one' /
+     * '<key>_other' (Intl.PluralRules categories) is used when it exists.
+     * Load the current language and English first (loadTranslations).
+     * @param {string} key - e.g. 'ui.setup.players'
+     * @param {Object} [params] - Values for the placeholders
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        const candidates = [key];
+        if (typeof params.count === 'number') {
+            const category = new Intl.PluralRules(this.currentLanguage).select(params.count);
+            candidates.unshift(`${key}_${category}`, `${key}_other`);
+        }
+
+        let text = null;
+        for (const languageCode of [this.currentLanguage, 'en']) {
+            const dictionary = this.translations[languageCode] || {};
+            const found = candidates.find(candidate => typeof dictionary[candidate] === 'string');
+            if (found) {
+                text = dictionary[found];
+                break;
+            }
+        }
+        if (text === null) return key;
+
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Check whether a key has a text in the current language or English
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return [this.currentLanguage, 'en'].some(
+            languageCode => typeof this.translations[languageCode]?.[key] === 'string'
+        );
+    }
+
+    /**
+     * Join items the way the current language lists them ("A, B or C")
+     * @param {Array<string>} items
+     * @param {'conjunction'|'disjunction'} [type] - "and" or "or"
+     * @returns {string}
+     */
+    formatList(items, type = 'conjunction') {
+        try {
+            return new Intl.ListFormat(this.currentLanguage, { type }).format(items);
+        } catch (error) {
+            return items.join(', ');
+        }
+    }
+
+    /**
+     * Get the saved speech settings for a language (stored next to gameLanguage)
+     * @param {string} [languageCode] - Defaults to the current language
+     * @returns {{voiceURI: string|null, rate: number, pitch: number, volume: number}}
+     */
+    getVoiceSettings(languageCode = this.currentLanguage) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(`voiceSettings:${languageCode}`));
+            return { ...DEFAULT_VOICE_SETTINGS, ...saved };
+        } catch (error) {
+            return { ...DEFAULT_VOICE_SETTINGS };
+        }
+    }
+
+    /**
+     * Save speech settings for a language
+     * @param {Object} settings - Any of voiceURI, rate, pitch, volume
+     * @param {string} [languageCode] - Defaults to the current language
+     */
+    setVoiceSettings(settings, languageCode = this.currentLanguage) {
+        const merged = { ...this.getVoiceSettings(languageCode), ...settings };
+        localStorage.setItem(`voiceSettings:${languageCode}`, JSON.stringify(merged));
+    }
+
+    /**
+     * Forget the saved speech settings for a language
+     * @param {string} [languageCode] - Defaults to the current language
+     */
+    resetVoiceSettings(languageCode = this.currentLanguage) {
+        localStorage.removeItem(`voiceSettings:${languageCode}`);
+    }
+
+    /**
+     * List the installed voices that speak a language
+     * @param {string} [languageCode] - Defaults to the current language
+     * @returns {SpeechSynthesisVoice[]}
+     */
+    getVoicesForLanguage(languageCode = this.currentLanguage) {
+        if (!('speechSynthesis' in window)) return [];
+        return window.speechSynthesis.getVoices().filter(
+            v => v.lang.toLowerCase().startsWith(languageCode.toLowerCase())
+        );
+    }
+
+    /**
+     * Get the voice for a language: the one picked in Settings → Voice,
+     * otherwise the best match
+     * @param {string} [languageCode] - Defaults to the current language
      * @returns {SpeechSynthesisVoice|null}
      */
-    getMatchingVoice() {
+    getMatchingVoice(languageCode = this.currentLanguage) {
         const voices = window.speechSynthesis.getVoices();
-        
+
+        const { voiceURI } = this.getVoiceSettings(languageCode);
+        if (voiceURI) {
+            const chosen = voices.find(v => v.voiceURI === voiceURI);
+            if (chosen) return chosen;
+        }
+
         // Find language config
         const langConfig = this.supportedLanguages.find(
-            lang => lang.code === this.currentLanguage
+            lang => lang.code === languageCode
         );
 
         if (!langConfig) return null;
@@ -203,5 +545,6 @@ const translationManager = new TranslationManager();
 
 // Preload current language on page load
 if ('speechSynthesis' in window) {
-    translationManager.loadTranslations(translationManager.getCurrentLanguage());
+    translationManager.loadLanguages()
+        .then(() => translationManager.loadTranslations(translationManager.getCurrentLanguage()));
 }
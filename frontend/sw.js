@@ -0,0 +1,228 @@
+/**
+ * Service Worker
+ * Precaches the app shell, role images and every translation so the assistant
+ * keeps working without a connection once it has been opened. The page asks for
+ * the images of custom roles separately ('cache-urls').
+ *
+ * Cached files are served first; while online each one is fetched again in the
+ * background, and when the server has a newer copy the pages are told that an
+ * update is available (it is used from the next reload).
+ */
+
+// Bump to drop every cached file on the next visit
+const CACHE_VERSION = 1;
+const CACHE_NAME = `werewolf-assistant-v${CACHE_VERSION}`;
+
+// App shell; role images and translation files are added from roles.json and
+// languages.json at install time
+const PRECACHE_URLS = [
+    '/',
+    '/static/style.css',
+    '/static/translation-manager.js',
+    '/static/room-client.js',
+    '/static/audio-pack-manager.js',
+    '/static/qr-code.js',
+    '/static/offline-cache.js',
+    '/static/translation-coverage.js',
+    '/static/app.js',
+    '/static/roles.json',
+    '/static/manifest.webmanifest',
+    '/static/img/icon.svg',
+    '/static/img/placeholder.svg',
+    '/static/audio/packs.json',
+    '/static/translations/languages.json',
+    '/static/translations/en.json'
+];
+
+// Requests that always need the server
+const NETWORK_ONLY_PREFIXES = ['/api/', '/ws/', '/docs', '/redoc', '/openapi.json'];
+
+/**
+ * Read a JSON file from the cache, or from the network on the first install
+ * @param {string} url
+ * @returns {Promise<Object>}
+ */
+async function readJson(url) {
+    const cache = await caches.open(CACHE_NAME);
+    const response = (await cache.match(url)) || await fetch(url, { cache: 'no-cache' });
+    return response.json();
+}
+
+/**
+ * Every URL to precache: the app shell plus the image of each role and the
+ * translation file of each bundled language
+ * @returns {Promise<string[]>}
+ */
+async function getPrecacheUrls() {
+    const urls = new Set(PRECACHE_URLS);
+    try {
+        const catalog = await readJson('/static/roles.json');
+        (catalog.roles || []).forEach(role => {
+            if (typeof role.img === 'string' && role.img.startsWith('/static/')) {
+                urls.add(role.img);
+            }
+        });
+    } catch (error) {
+        console.warn('Could not list role images to cache:', error);
+    }
+    try {
+        const manifest = await readJson('/static/translations/languages.json');
+        (manifest.languages || []).forEach(lang => {
+            urls.add(`/static/translations/${lang.code}.json`);
+        });
+    } catch (error) {
+        console.warn('Could not list translation files to cache:', error);
+    }
+    return [...urls];
+}
+
+/**
+ * Whether a file can be kept in the cache and served from it: from this server,
+ * and not one that always needs the server
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isCacheable(url) {
+    return url.origin === self.location.origin
+        && !NETWORK_ONLY_PREFIXES.some(prefix => url.pathname.startsWith(prefix));
+}
+
+/**
+ * Tell every open page something
+ * @param {Object} message
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Whether a freshly fetched response differs from the cached copy
+ * @param {Response|undefined} cached
+ * @param {Response} fresh
+ * @returns {boolean}
+ */
+function isNewer(cached, fresh) {
+    if (!cached) return false;
+    const version = response => response.headers.get('etag')
+        || response.headers.get('last-modified')
+        || response.headers.get('content-length');
+    return version(cached) !== version(fresh);
+}
+
+/**
+ * Fetch a request again and store it
+ * @param {Cache} cache
+ * @param {Request|string} request
+ * @param {Response|undefined} cached - Copy already in the cache, if any
+ * @returns {Promise<{response: Response, changed: boolean}>}
+ */
+async function refresh(cache, request, cached) {
+    const response = await fetch(request, { cache: 'no-cache' });
+    const changed = response.ok && isNewer(cached, response);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+    }
+    return { response, changed };
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(await getPrecacheUrls());
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('werewolf-assistant-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || !isCacheable(url)) return;
+
+    // Every page (join links, share links) is the same index.html
+    const key = request.mode === 'navigate' ? '/' : request;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(key);
+        const update = refresh(cache, key, cached).then(({ response, changed }) => {
+            if (changed) notifyClients({ type: 'update-available' });
+            return response;
+        });
+
+        if (cached) {
+            event.waitUntil(update.catch(() => {}));
+            return cached;
+        }
+        return update;
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const reply = message => event.source?.postMessage(message);
+
+    if (event.data?.type === 'status') {
+        event.waitUntil((async () => {
+            const cache = await caches.open(CACHE_NAME);
+            const urls = await getPrecacheUrls();
+            const found = await Promise.all(urls.map(url => cache.match(url)));
+            reply({
+                type: 'status',
+                version: CACHE_VERSION,
+                cached: found.filter(Boolean).length,
+                total: urls.length
+            });
+        })());
+    }
+
+    // Files getPrecacheUrls() cannot list, such as the images of custom roles
+    // (kept in the page's localStorage); they are refreshed like any other file
+    if (event.data?.type === 'cache-urls') {
+        event.waitUntil((async () => {
+            const cache = await caches.open(CACHE_NAME);
+            const urls = (event.data.urls || [])
+                .map(url => new URL(url, self.location.origin))
+                .filter(isCacheable);
+            await Promise.all(urls.map(async (url) => {
+                if (await cache.match(url.href)) return;
+                try {
+                    await refresh(cache, url.href);
+                } catch (error) {
+                    console.warn('Could not cache', url.href, error);
+                }
+            }));
+        })());
+    }
+
+    // Fetch every precached file again and report whether anything changed
+    if (event.data?.type === 'check-updates') {
+        event.waitUntil((async () => {
+            const cache = await caches.open(CACHE_NAME);
+            const urls = await getPrecacheUrls();
+            let changed = false;
+            let failed = false;
+            await Promise.all(urls.map(async (url) => {
+                try {
+                    const result = await refresh(cache, url, await cache.match(url));
+                    if (result.changed) changed = true;
+                } catch (error) {
+                    failed = true;
+                }
+            }));
+            if (changed) {
+                notifyClients({ type: 'update-available' });
+            }
+            reply({ type: 'checked', changed, offline: failed && !changed });
+        })());
+    }
+});
@@ -29,6 +29,13 @@ async def read_root():
     return FileResponse(html_file)
 
 
+@app.get("/sw.js")
+async def service_worker():
+    """Serve the service worker from the root so it can cache every page."""
+    sw_file = Path(__file__).parent / "frontend" / "sw.js"
+    return FileResponse(sw_file, media_type="application/javascript")
+
+
 if __name__ == "__main__":
     import uvicorn
     uvicorn.run(app, host="0.0.0.0", port=8000)
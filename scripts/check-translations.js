@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Translation coverage check
+ * Compares the translation files with en.json and with the keys the app requests,
+ * like Settings → Translations does in the browser.
+ *
+ * Usage: node scripts/check-translations.js [languageCode ...]
+ * Without arguments every language of translations/languages.json is checked.
+ * Exits with 1 when a key is missing or empty (extra keys are only listed).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { translationCoverage } = require('../frontend/static/translation-coverage.js');
+
+const STATIC_DIR = path.join(__dirname, '..', 'frontend', 'static');
+const TRANSLATIONS_DIR = path.join(STATIC_DIR, 'translations');
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function main(args) {
+    const roles = readJson(path.join(STATIC_DIR, 'roles.json')).roles;
+    const languageCodes = args.length > 0
+        ? args
+        : readJson(path.join(TRANSLATIONS_DIR, 'languages.json')).languages.map(lang => lang.code);
+
+    const dictionaries = { en: readJson(path.join(TRANSLATIONS_DIR, 'en.json')) };
+    languageCodes.forEach(code => {
+        dictionaries[code] = readJson(path.join(TRANSLATIONS_DIR, `${code}.json`));
+    });
+
+    const reports = translationCoverage.checkAll(dictionaries, roles);
+    let failed = false;
+
+    languageCodes.forEach(code => {
+        const report = reports[code];
+        const ok = !translationCoverage.hasProblems(report);
+        failed = failed || !ok;
+
+        console.log(`${ok ? '✓' : '✗'} ${code}.json: ${report.missing.length} missing, `
+            + `${report.empty.length} empty, ${report.extra.length} extra`);
+        report.missing.forEach(({ key, fallback }) => {
+            console.log(`    missing  ${key}${fallback ? ' (falls back)' : ' (no text at all)'}`);
+        });
+        report.empty.forEach(key => console.log(`    empty    ${key}`));
+        report.extra.forEach(key => console.log(`    extra    ${key}`));
+    });
+
+    return failed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
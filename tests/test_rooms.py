@@ -0,0 +1,81 @@
+"""Tests for the game room server (backend/rooms.py and the room routes).
+
+Run from the project root: python -m unittest discover tests
+"""
+
+import unittest
+
+from fastapi.testclient import TestClient
+from starlette.websockets import WebSocketDisconnect
+
+from backend.rooms import ROOM_HOST_TIMEOUT_SECONDS, RoomManager, room_manager
+from backend.routes import HOST_TOKEN_INVALID_CLOSE_CODE
+from main import app
+
+
+class RoomSocketTest(unittest.TestCase):
+    def setUp(self):
+        room_manager.rooms.clear()
+        self.client = TestClient(app)
+        self.room = self.client.post("/api/rooms").json()
+
+    def host_url(self, token):
+        return f"/ws/rooms/{self.room['code']}/host?token={token}"
+
+    def test_room_description_hides_host_token(self):
+        self.assertIn("host_token", self.room)
+        described = self.client.get(f"/api/rooms/{self.room['code']}").json()
+        self.assertNotIn("host_token", described)
+
+    def test_host_socket_requires_host_token(self):
+        for token in ["", "not-the-token"]:
+            with self.client.websocket_connect(self.host_url(token)) as host:
+                with self.assertRaises(WebSocketDisconnect) as closed:
+                    host.receive_json()
+                self.assertEqual(closed.exception.code, HOST_TOKEN_INVALID_CLOSE_CODE)
+
+    def test_binary_frame_is_ignored(self):
+        with self.client.websocket_connect(self.host_url(self.room["host_token"])) as host:
+            self.assertEqual(host.receive_json()["type"], "room")
+            with self.client.websocket_connect(f"/ws/rooms/{self.room['code']}/player?name=Ann") as player:
+                self.assertEqual(player.receive_json()["type"], "welcome")
+                self.assertEqual(host.receive_json()["type"], "player_joined")
+
+                # The player stays connected and its next message still reaches the host
+                player.send_bytes(b"\x00\x01")
+                player.send_json({"payload": {"type": "vote", "target": 1}})
+                message = host.receive_json()
+                self.assertEqual(message["type"], "from_player")
+                self.assertEqual(message["payload"], {"type": "vote", "target": 1})
+
+
+class RoomExpiryTest(unittest.TestCase):
+    def setUp(self):
+        self.now = 1000.0
+        self.manager = RoomManager(clock=lambda: self.now)
+
+    def test_room_never_joined_by_host_expires(self):
+        room = self.manager.create_room()
+        self.now += ROOM_HOST_TIMEOUT_SECONDS - 1
+        self.assertIs(self.manager.get_room(room.code), room)
+        self.now += 1
+        self.assertIsNone(self.manager.get_room(room.code))
+        self.assertEqual(self.manager.rooms, {})
+
+    def test_room_with_host_does_not_expire(self):
+        room = self.manager.create_room()
+        host = object()
+        self.manager.set_host(room, host)
+        self.now += ROOM_HOST_TIMEOUT_SECONDS * 2
+        self.assertIs(self.manager.get_room(room.code), room)
+
+        # The timeout starts again when the host leaves
+        self.manager.clear_host(room, host)
+        self.now += ROOM_HOST_TIMEOUT_SECONDS - 1
+        self.assertIs(self.manager.get_room(room.code), room)
+        self.now += 1
+        self.assertIsNone(self.manager.get_room(room.code))
+
+
+if __name__ == "__main__":
+    unittest.main()